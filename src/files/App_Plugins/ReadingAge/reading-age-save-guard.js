@@ -0,0 +1,60 @@
+/*
+    Checks the reading age of the rich text editors on the page before Umbraco saves or publishes content,
+    by wrapping the back office's contentResource. Each editor with the rhythmReadingAge plugin is asked in turn
+    (see checkSave in the plugin), and the save only goes ahead if none of them stop it.
+    Loaded into the back office by package.manifest.
+ */
+
+/*global angular, tinymce */
+angular.module('umbraco').config(['$provide', function ($provide) {
+    "use strict";
+    $provide.decorator('contentResource', ['$delegate', '$q', '$timeout', function (contentResource, $q, $timeout) {
+        var checkEditors = function (action) {
+            var deferred = $q.defer(),
+                editors = [],
+                next = function (i) {
+                    if (i >= editors.length) {
+                        deferred.resolve();
+                        return;
+                    }
+                    editors[i].plugins.rhythmReadingAge.checkSave(action, function (allowed) {
+                        // back into Angular, as the author answers in a TinyMCE window
+                        $timeout(function () {
+                            if (allowed) {
+                                next(i + 1);
+                            } else {
+                                deferred.reject();
+                            }
+                        });
+                    });
+                };
+            if (typeof tinymce !== 'undefined') {
+                tinymce.each(tinymce.editors, function (editor) {
+                    if (editor.plugins && editor.plugins.rhythmReadingAge && editor.plugins.rhythmReadingAge.checkSave && !editor.removed) {
+                        editors.push(editor);
+                    }
+                });
+            }
+            next(0);
+            return deferred.promise;
+        };
+
+        ['save', 'publish', 'sendToPublish'].forEach(function (method) {
+            var original = contentResource[method];
+            if (typeof original !== 'function') {
+                return;
+            }
+            contentResource[method] = function () {
+                var args = arguments;
+                return checkEditors(method).then(function () {
+                    return original.apply(contentResource, args);
+                }, function () {
+                    // the same shape as a failed request, for the content editor's error handling
+                    return $q.reject({ status: 0, data: null, errorMsg: 'The save was stopped by the reading age check.' });
+                });
+            };
+        });
+
+        return contentResource;
+    }]);
+}]);
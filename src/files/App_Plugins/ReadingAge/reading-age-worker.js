@@ -0,0 +1,35 @@
+/*
+    Runs the status bar analysis for the TinyMCE plugin off the main thread, so large documents don't make the editor stutter.
+    Each message is { html, options, customisations }, with the options of Rhythm.ReadingAge.deepParseText
+    and the page's dictionaries from Rhythm.ReadingAge.getCustomisations, and is answered with { result } or,
+    if the analysis failed, { error }.
+ */
+
+/*global importScripts, self, Rhythm */
+
+importScripts('reading-age.js');
+
+// the blocks parsed for the previous message, so unchanged ones aren't parsed again
+var cache = {};
+
+// the customisations applied last, so they are only applied again when the page's change
+var customisationsKey = null;
+
+self.onmessage = function (e) {
+    var options = e.data.options || {};
+    var key;
+    try {
+        if (e.data.customisations) {
+            key = JSON.stringify(e.data.customisations);
+            if (key !== customisationsKey) {
+                Rhythm.ReadingAge.applyCustomisations(e.data.customisations);
+                customisationsKey = key;
+                cache = {}; // the cached blocks were parsed with the old ones
+            }
+        }
+        options.cache = cache;
+        self.postMessage({ result: Rhythm.ReadingAge.deepParseText(e.data.html, options) });
+    } catch (error) {
+        self.postMessage({ error: String(error) });
+    }
+};
@@ -0,0 +1,4129 @@
+/*  sample usage
+
+    source = jQuery('#input').val();
+    parsed = Rhythm.ReadingAge.deepParseText(source);
+    html = Rhythm.ReadingAge.toHTML(parsed);
+    jQuery("#output").html(html);
+
+    or from Node:
+
+    var ReadingAge = require("./reading-age.js");
+    parsed = ReadingAge.deepParseText(fs.readFileSync("page.html", "utf8"));
+
+ */
+
+/*global console, module, self */
+
+/**
+ * The reading age analyser. It has no dependencies on the DOM, jQuery or TinyMCE, so it runs the same in the browser,
+ * in a Web Worker and in Node: loaded with require() it is the module's export, otherwise it is Rhythm.ReadingAge.
+ */
+(function (root, factory) {
+    "use strict";
+    if (typeof module === "object" && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Rhythm = root.Rhythm || {};
+        if (root.Rhythm.ReadingAge === undefined) {
+            root.Rhythm.ReadingAge = factory();
+        }
+    }
+}(typeof self !== "undefined" ? self : this, function () {
+    var ReadingAge = {
+        /**
+         * Round a number to a given number of decimal places.
+         */
+        round: function (num, decimalPlaces) {
+            "use strict";
+            return Math.round(num * Math.pow(10, decimalPlaces)) / Math.pow(10, decimalPlaces);
+        },
+
+        /**
+         * Format a change in a score with its sign, e.g. "+1.5", or "\u22122.4" with a minus sign.
+         * A change that rounds to nothing has no sign.
+         *
+         * @returns {string}
+         * @param {number} difference The change in the score.
+         * @param {number} [decimalPlaces] Defaults to 1.
+         */
+        formatDifference: function (difference, decimalPlaces) {
+            "use strict";
+            var text = Math.abs(difference).toFixed(decimalPlaces === undefined ? 1 : decimalPlaces);
+            if (Number(text) === 0) {
+                return text;
+            }
+            return (difference < 0 ? "\u2212" : "+") + text;
+        },
+
+        /**
+         * Describe a length of time roughly, e.g. "45 seconds" or "3 minutes".
+         *
+         * @returns {string}
+         * @param {number} seconds The length of time in seconds.
+         */
+        formatDuration: function (seconds) {
+            "use strict";
+            var minutes;
+            if (Math.round(seconds) < 60) {
+                seconds = Math.round(seconds);
+                return seconds + " second" + (seconds === 1 ? "" : "s");
+            }
+            minutes = Math.round(seconds / 60);
+            return minutes + " minute" + (minutes === 1 ? "" : "s");
+        },
+
+        /**
+         * Shorten text to a maximum length, ending it with an ellipsis if anything was cut off.
+         *
+         * @returns {string}
+         * @param {string} text The text to shorten.
+         * @param {number} maxLength The maximum length, including the ellipsis.
+         */
+        truncate: function (text, maxLength) {
+            "use strict";
+            if (text.length <= maxLength) {
+                return text;
+            }
+            return text.slice(0, maxLength - 1).replace(/\s+\S*$/, "") + "\u2026";
+        },
+
+        /**
+         * Escape text for use in HTML.
+         *
+         * @returns {string}
+         * @param {string} text The text to escape.
+         */
+        escapeHtml: function (text) {
+            "use strict";
+            return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+        },
+
+        /**
+         * Escape text for use in Markdown, including inside a table cell. Line breaks become spaces.
+         *
+         * @returns {string}
+         * @param {string} text The text to escape.
+         */
+        escapeMarkdown: function (text) {
+            "use strict";
+            return String(text).replace(/\s+/g, " ").replace(/([\\`*_\[\]<>|#])/g, "\\$1");
+        },
+
+        /**
+         * Format a value as a CSV field, quoting it if it needs to be.
+         * Numbers are rounded to 3 decimal places, and numbers that couldn't be calculated are left empty.
+         *
+         * @returns {string}
+         * @param {string|number} value The value to format.
+         */
+        toCSVField: function (value) {
+            "use strict";
+            if (typeof value === "number") {
+                return isFinite(value) ? String(ReadingAge.round(value, 3)) : "";
+            }
+            value = value === undefined || value === null ? "" : String(value);
+            if (/[",\r\n]/.test(value)) {
+                return '"' + value.replace(/"/g, '""') + '"';
+            }
+            return value;
+        },
+
+        /**
+         * Simple descending sort against the fleschKincaidGradeLevel on objects.
+         *
+         * @returns {number}
+         * @param {object} a The first object to sort.
+         * @param {object} b The second object to sort.
+         */
+        sortFleschKincaidGradeLevelDescending: function (a, b) {
+            "use strict";
+            return b.fleschKincaidGradeLevel - a.fleschKincaidGradeLevel;
+        },
+
+        /**
+         * Simple descending sort against the SMOG index on objects.
+         *
+         * @returns {number}
+         * @param {object} a The first object to sort.
+         * @param {object} b The second object to sort.
+         */
+        sortSmogIndexDescending: function (a, b) {
+            "use strict";
+            return b.smogIndex - a.smogIndex;
+        },
+
+        /**
+         * Simple descending sort against the composite grade level (see getCompositeGradeLevel) on objects.
+         *
+         * @returns {number}
+         * @param {object} a The first object to sort.
+         * @param {object} b The second object to sort.
+         */
+        sortCompositeGradeLevelDescending: function (a, b) {
+            "use strict";
+            return ReadingAge.getCompositeGradeLevel(b) - ReadingAge.getCompositeGradeLevel(a);
+        },
+
+        /**
+         * The characters that make up words: Latin, Greek and Cyrillic letters with their accents and combining marks.
+         * Use letterRegExp to build regular expressions from it.
+         */
+        letters: "A-Za-z\u00aa\u00b5\u00ba\u00c0-\u00d6\u00d8-\u00f6\u00f8-\u02af\u0300-\u036f\u0386\u0388-\u03ff\u0400-\u052f\u1e00-\u1fff",
+
+        letterRegExpCache: {},
+
+        /**
+         * Build (and cache) a regular expression in which "{L}" stands for the characters in letters.
+         *
+         * @example Rhythm.ReadingAge.letterRegExp("^[^{L}]+") matches everything before the first letter.
+         *
+         * @returns {RegExp}
+         * @param {string} source The regular expression source.
+         * @param {string} [flags] The regular expression flags.
+         */
+        letterRegExp: function (source, flags) {
+            "use strict";
+            var key = source + "/" + (flags || "");
+            if (!ReadingAge.letterRegExpCache.hasOwnProperty(key)) {
+                ReadingAge.letterRegExpCache[key] = new RegExp(source.replace(/\{L\}/g, ReadingAge.letters), flags);
+            }
+            return ReadingAge.letterRegExpCache[key];
+        },
+
+        /**
+         * Check whether a character is a lowercase letter, in any script.
+         *
+         * @returns {boolean}
+         * @param {string} character The character to check.
+         */
+        isLowerCase: function (character) {
+            "use strict";
+            return character !== character.toUpperCase() && character === character.toLowerCase();
+        },
+
+        /**
+         * Check whether a character is an uppercase letter, in any script.
+         *
+         * @returns {boolean}
+         * @param {string} character The character to check.
+         */
+        isUpperCase: function (character) {
+            "use strict";
+            return character !== character.toLowerCase() && character === character.toUpperCase();
+        },
+
+        /**
+         * Accented lowercase Latin letters, keyed by the letter they are based on.
+         */
+        diacritics: {
+            a: /[\u00e0-\u00e5\u0101\u0103\u0105\u01ce\u01df\u01e1\u01fb\u0201\u0203\u0227]/g,
+            c: /[\u00e7\u0107\u0109\u010b\u010d]/g,
+            d: /[\u010f\u0111]/g,
+            e: /[\u00e8-\u00eb\u0113\u0115\u0117\u0119\u011b\u0205\u0207\u0229]/g,
+            g: /[\u011d\u011f\u0121\u0123\u01e7\u01f5]/g,
+            h: /[\u0125\u0127\u021f]/g,
+            i: /[\u00ec-\u00ef\u0129\u012b\u012d\u012f\u0131\u01d0\u0209\u020b]/g,
+            j: /[\u0135\u01f0]/g,
+            k: /[\u0137\u01e9]/g,
+            l: /[\u013a\u013c\u013e\u0140\u0142]/g,
+            n: /[\u00f1\u0144\u0146\u0148\u01f9]/g,
+            o: /[\u00f2-\u00f6\u00f8\u014d\u014f\u0151\u01a1\u01d2\u01eb\u01ed\u020d\u020f\u022b\u022d\u022f\u0231]/g,
+            r: /[\u0155\u0157\u0159\u0211\u0213]/g,
+            s: /[\u015b\u015d\u015f\u0161\u0219]/g,
+            t: /[\u0163\u0165\u0167\u021b]/g,
+            u: /[\u00f9-\u00fc\u0169\u016b\u016d\u016f\u0171\u0173\u01b0\u01d4\u01d6\u01d8\u01da\u01dc\u0215\u0217]/g,
+            w: /[\u0175\u1e81\u1e83\u1e85]/g,
+            y: /[\u00fd\u00ff\u0177\u0233\u1ef3]/g,
+            z: /[\u017a\u017c\u017e]/g,
+            ae: /\u00e6/g,
+            oe: /\u0153/g,
+            ss: /\u00df/g
+        },
+
+        /**
+         * Replace accented lowercase Latin letters and ligatures with their plain ASCII equivalents.
+         *
+         * @returns {string}
+         * @param {string} word The lowercase word to convert.
+         */
+        removeDiacritics: function (word) {
+            "use strict";
+            if (!/[^\u0000-\u007f]/.test(word)) { // Plain ASCII already
+                return word;
+            }
+            Object.keys(ReadingAge.diacritics).forEach(function (letter) {
+                word = word.replace(ReadingAge.diacritics[letter], letter);
+            });
+            return word;
+        },
+
+        /**
+         * Words whose syllables the rules in countSyllablesByRules get wrong, keyed by lowercase word.
+         * Checked before any counter or rule. Add to it with addSyllableExceptions.
+         *
+         * @see https://github.com/words/syllable
+         */
+        syllableExceptions: {
+            abalone: 4, abed: 2, aborigine: 5, acreage: 3, adieu: 2, adobe: 3, anemone: 4, anyone: 3, apache: 3,
+            aphrodite: 4, apostrophe: 4, area: 3, ariadne: 4, business: 2, cafe: 2, calliope: 4, catastrophe: 4,
+            chile: 2, chloe: 2, circe: 2, coyote: 3, daphne: 2, epitome: 4, eurydice: 4, euterpe: 3, evening: 2,
+            every: 2, everyday: 3, everyone: 3, everything: 3, everywhere: 3, family: 3, forever: 3, gethsemane: 4,
+            guacamole: 4, hermione: 4, hyperbole: 4, interest: 3, jesse: 2, jukebox: 2, karate: 3, machete: 3, maybe: 2,
+            naive: 2, newlywed: 3, penelope: 4, people: 2, persephone: 4, phoebe: 2, poem: 2, poet: 2, poetry: 3,
+            pulse: 1, queue: 1, recipe: 3, riverbed: 3, science: 2, sesame: 3, shoreline: 2, simile: 3, snuffleupagus: 5,
+            sometimes: 2, syncope: 3, tamale: 3, vegetable: 4, waterbed: 3, wednesday: 2, yosemite: 4, zoe: 2
+        },
+
+        /**
+         * Custom syllable counters, consulted after syllableExceptions and before countSyllablesByRules.
+         * Add to it with registerSyllableCounter.
+         */
+        syllableCounters: [],
+
+        /**
+         * Counts the changes made to the dictionaries (syllable exceptions and counters, abbreviations, substitutions and glossary)
+         * through their add and register functions, so deepParseText knows when blocks it has cached were parsed with older ones.
+         */
+        dictionaryVersion: 0,
+
+        /**
+         * Affixes and letter patterns used by countSyllablesByRules.
+         * The affix patterns are counted and removed before the vowel groups are counted.
+         * The subtract and add patterns correct vowel groups that are counted as two syllables but are one, and vice versa.
+         *
+         * @see https://github.com/words/syllable
+         */
+        syllableRules: {
+            tripleAffixes: /(creations?|ology|ologist|onomy|onomist)$/g,
+            doubleAffixes: /^(?:above|anti|ante|counter|hyper|afore|agri|infra|intra|inter|over|semi|ultra|under|extra|dia|micro|mega|kilo|pico|nano|macro|somer)|(?:fully|berry|woman|women|edly|union|((?:[bcdfghjklmnpqrstvwxz])|[aeiou])ye?ing)$/g,
+            singleAffixes: /^(?:un|fore|ware|none?|out|post|sub|pre|pro|dis|side|some)|(?:ly|less|some|ful|ers?|ness|cians?|ments?|ettes?|villes?|ships?|sides?|ports?|shires?|[gnst]ion(?:ed|s)?)$/g,
+            subtract: [
+                /awe($|d|so)|cia(?:l|$)|tia|cius|cious|[^aeiou]giu|[aeiouy][^aeiouy]ion|iou|sia$|eous$|[oa]gue$|.[^aeiuoycgltdb]{2,}ed$|.ely$|^jua|uai|eau|^busi$/g,
+                /[aeiouy](?:[bcfgklmnprsvwxyz]|ch|dg|g[hn]|lch|l[lv]|mm|nch|n[cgn]|r[bcnsv]|squ|s[chkls]|th)ed$/g,
+                /[aeiouy](?:[bdfklmnprstvy]|ch|g[hn]|lch|l[lv]|mm|nch|nn|r[nsv]|squ|s[cklst]|th)es$/g,
+                /[aeiouy](?:[bcdfgklmnprstvyz]|ch|dg|g[hn]|l[lv]|mm|n[cgns]|r[cnsv]|squ|s[cklst]|th)e$/g // Silent final e
+            ],
+            add: [
+                /(?:([^aeiouy])\1l|[^aeiouy]ie(?:r|s?t)|[aeiouym]bl|eo|ism|asm|thm|dnt|snt|uity|dea|gean|oa|ua|react?|orbed|shred|eings?|[aeiouy]sh?e[rs])$/g,
+                /creat(?!u)|[^gq]ua[^auieo]|[aeiou]{3}|^(?:ia|mc|coa[dglx].)|^re(app|es|im|us)|(th|d)eist/g,
+                /[^aeiou]y[ae]|[^l]lien|riet|dien|iu|io|ii|uen|[aeilotu]real|real[aeilotu]|iell|eo[^aeiou]|[aeiou]y[aeiou]/g,
+                /[^s]ia/g
+            ]
+        },
+
+        /**
+         * Add words to the syllable exception dictionary, replacing any existing entries for them.
+         *
+         * @example Rhythm.ReadingAge.addSyllableExceptions({ umbraco: 3, rhythmagency: 4 });
+         *
+         * @param {object} exceptions The number of syllables in each word, keyed by word.
+         */
+        addSyllableExceptions: function (exceptions) {
+            "use strict";
+            Object.keys(exceptions).forEach(function (word) {
+                if (typeof exceptions[word] !== "number" || exceptions[word] < 1) {
+                    throw new TypeError("The syllable count for \"" + word + "\" must be a positive number.");
+                }
+                ReadingAge.syllableExceptions[word.toLowerCase()] = exceptions[word];
+            });
+            ReadingAge.dictionaryVersion += 1;
+        },
+
+        /**
+         * Register a custom syllable counter.
+         * The counter is passed a lowercase word with its apostrophes removed, and the code of its language profile,
+         * and should return its number of syllables, or undefined to leave it to the next counter.
+         * Counters registered later are consulted first.
+         *
+         * @param {function} counter The counter function.
+         */
+        registerSyllableCounter: function (counter) {
+            "use strict";
+            if (typeof counter !== "function") {
+                throw new TypeError("A function is required.");
+            }
+            ReadingAge.syllableCounters.unshift(counter);
+            ReadingAge.dictionaryVersion += 1;
+        },
+
+        /**
+         * Look a word up in the syllable exception dictionary,
+         * trying it without accents and in its singular form if it is not found.
+         *
+         * @returns {number|undefined} The number of syllables, or undefined if the word is not in the dictionary.
+         * @param {string} word The lowercase word to look up.
+         */
+        getSyllableException: function (word) {
+            "use strict";
+            var exceptions = ReadingAge.syllableExceptions,
+                plain = ReadingAge.removeDiacritics(word),
+                singulars = [word, plain, plain.replace(/ies$/, "y"), plain.replace(/es$/, ""), plain.replace(/s$/, "")],
+                i;
+            for (i = 0; i < singulars.length; i += 1) {
+                if (exceptions.hasOwnProperty(singulars[i])) {
+                    return exceptions[singulars[i]];
+                }
+            }
+            return undefined;
+        },
+
+        /**
+         * Estimate the syllables in a word from its spelling.
+         * Common prefixes and suffixes are counted and removed,
+         * then each group of consecutive vowels (a, e, i, o, u, y) counts as one syllable,
+         * corrected for silent endings (-e, -es, -ed) and for vowel pairs that are pronounced separately.
+         * Every word has at least one syllable.
+         *
+         * @returns {number}
+         * @param {string} word The lowercase word to scan, containing letters only.
+         */
+        countSyllablesByRules: function (word) {
+            "use strict";
+            var rules = ReadingAge.syllableRules,
+                count = 0,
+                counter = function (addition) {
+                    return function () {
+                        count += addition;
+                        return "";
+                    };
+                },
+                adjuster = function (addition) {
+                    return function (match) {
+                        count += addition;
+                        return match;
+                    };
+                };
+            if (word.length < 3) { // One and two letter words are always one syllable
+                return 1;
+            }
+            // Count and remove the prefixes and suffixes
+            word = word
+                .replace(rules.tripleAffixes, counter(3))
+                .replace(rules.doubleAffixes, counter(2))
+                .replace(rules.singleAffixes, counter(1));
+            // Count the groups of vowels
+            word.split(/[^aeiouy]+/).forEach(function (part) {
+                if (part !== "") {
+                    count += 1;
+                }
+            });
+            // Correct the count for patterns that the vowel groups get wrong
+            rules.subtract.forEach(function (rule) {
+                word.replace(rule, adjuster(-1));
+            });
+            rules.add.forEach(function (rule) {
+                word.replace(rule, adjuster(1));
+            });
+            return Math.max(count, 1);
+        },
+
+        /**
+         * Count the syllables in a word.
+         * The word is looked up in syllableExceptions first, then passed to each registered syllable counter,
+         * and finally estimated with the syllable rules of its language profile.
+         *
+         * @returns {number}
+         * @param {string} word The word to scan. Must be exactly one word.
+         * @param {string} [language] The language of the word, e.g. "en" or "de-CH". Defaults to defaultLanguage.
+         */
+        getNumSyllablesInWord: function (word, language) {
+            "use strict";
+            var profile = ReadingAge.languages[ReadingAge.getLanguageCode(language)],
+                count,
+                i;
+            if (typeof word !== "string") {
+                throw new TypeError("A string is required.");
+            }
+            if (word.length === 0) { // Catch empty strings.
+                throw "Empty string.";
+            }
+            if (word.search(/\s/g) !== -1) { // If white space characters are found, throw an error
+                throw "Contains whitespace.";
+            }
+            word = word.toLowerCase().replace(/['\u2019]/g, ""); // Convert to lowercase and remove apostrophes
+            count = ReadingAge.getSyllableException(word);
+            for (i = 0; count === undefined && i < ReadingAge.syllableCounters.length; i += 1) {
+                count = ReadingAge.syllableCounters[i](word, ReadingAge.getLanguageCode(language));
+            }
+            if (typeof count === "number") {
+                return count;
+            }
+            // Hyphenated and other compound words are counted part by part
+            count = 0;
+            word.split(ReadingAge.letterRegExp("[^{L}]+")).forEach(function (part) {
+                var partCount;
+                if (part !== "") {
+                    partCount = ReadingAge.getSyllableException(part);
+                    count += partCount !== undefined ? partCount : profile.countSyllables(part);
+                }
+            });
+            return Math.max(count, 1);
+        },
+
+        /**
+         * Trim anything other than letters from the front and end of strings.
+         *
+         * @returns {string}
+         * @param {string} str The string to trim.
+         */
+        trimNonLetters: function (str) {
+            "use strict";
+            str = str.replace("\n", " ");
+            str = str.replace(ReadingAge.letterRegExp("^[^{L}]+"), "");
+            str = str.replace(ReadingAge.letterRegExp("[^{L}]+$"), "");
+            return str;
+        },
+
+        /**
+         * Trim anything other than letters from the front and end of string entries in an array.
+         *
+         * @returns {string}
+         * @param {string} str The string to trim.
+         */
+        trimNonLettersFromArray: function (ary) {
+            "use strict";
+            ary.forEach(function (value, i) {
+                if (typeof value === "string") {
+                    ary[i] = ReadingAge.trimNonLetters(ary[i]);
+                }
+            });
+            return ary;
+        },
+
+        /**
+         * For an array of words...
+         * Find the first entry that does not have any letters.
+         * Return its index.
+         * Or -1 if none could be found.
+         *
+         * @returns {number}
+         * @param {array} ary An array of strings.
+         */
+        findFirstEmptyWord: function (ary) {
+            "use strict";
+            var i = 0;
+            while (i < ary.length) {
+                if (ary[i].search(ReadingAge.letterRegExp("[{L}]")) === -1) {
+                    return i;
+                }
+                i += 1;
+            }
+            return -1;
+        },
+
+        /**
+         * For an array of words.
+         * Remove any that don't have any letters.
+         *
+         * @returns {array}
+         * @param {array} ary The array of strings to clean.
+        */
+        removeEmptyWords: function (ary) {
+            "use strict";
+            var letter = ReadingAge.letterRegExp("[{L}]"),
+                numKept = 0,
+                i;
+            // Move the words being kept down over the empty ones in a single pass, rather than splicing each one out
+            for (i = 0; i < ary.length; i += 1) {
+                if (ary[i].search(letter) !== -1) {
+                    ary[numKept] = ary[i];
+                    numKept += 1;
+                }
+            }
+            ary.length = numKept;
+            return ary;
+        },
+
+        /**
+         * Get an array of the words from a passage of text.
+         *
+         * @returns {array}
+         * @param {string} text The passage of text to parse.
+         */
+        getWords: function (text) {
+            "use strict";
+            var words;
+            if (typeof text !== "string") {
+                throw new TypeError("A string is required.");
+            }
+            if (text.length === 0) {
+                return [];
+            }
+            text = text.replace(/\n+/g, " "); // Convert new lines to spaces
+            text = text.replace(/\s+/g, " "); // Replace all whitespace with traditional spaces, condensing multiples into one.
+            words = text.split(" "); // Split the string at its spaces
+            words = ReadingAge.trimNonLettersFromArray(words); // Remove any leading/trailing non-letter characters
+            words = ReadingAge.removeEmptyWords(words); // Remove any words that don't have any letters in them
+            return words;
+        },
+
+        /**
+         * Find each of the words in a passage of text, in the same order as getWords.
+         *
+         * @returns {array} The position of each word, as objects with start and end offsets, without any leading or trailing non-letter characters.
+         * @param {string} text The passage of text to parse.
+         */
+        getWordRanges: function (text) {
+            "use strict";
+            var result = [],
+                tokens = /\S+/g,
+                token,
+                start,
+                end;
+            if (typeof text !== "string") {
+                throw new TypeError("A string is required.");
+            }
+            while ((token = tokens.exec(text)) !== null) {
+                start = token.index + token[0].search(ReadingAge.letterRegExp("[{L}]"));
+                if (start >= token.index) { // Skip any that don't have any letters in them
+                    end = token.index + token[0].replace(ReadingAge.letterRegExp("[^{L}]+$"), "").length;
+                    result.push({ start: start, end: end });
+                }
+            }
+            return result;
+        },
+
+        /**
+         * Abbreviations that are written with a full stop but don't end a sentence, in lowercase without their final full stop.
+         * Add site-specific ones with addAbbreviations.
+         */
+        abbreviations: [
+            "mr", "mrs", "ms", "mx", "dr", "prof", "sr", "jr", "st", "rev", "hon", "gen", "col", "capt", "lt", "sgt",
+            "cpl", "gov", "sen", "pres", "mt", "ft", "ave", "rd", "blvd", "co", "corp", "inc", "ltd", "plc", "dept",
+            "univ", "assn", "bros", "etc", "e.g", "i.e", "eg", "ie", "vs", "viz", "cf", "al", "approx", "ca", "nos",
+            "vol", "vols", "fig", "figs", "pp", "para", "paras", "sect", "jan", "feb", "apr", "jun", "jul", "aug",
+            "sept", "oct", "nov", "dec", "a.m", "p.m", "tel", "ext", "ref", "incl", "excl", "misc", "govt"
+        ],
+
+        /**
+         * Add site-specific abbreviations to the list used by getSentences.
+         *
+         * @example Rhythm.ReadingAge.addAbbreviations(["Cllr", "Sch."]);
+         *
+         * @param {array} abbreviations The abbreviations to add, with or without their final full stop.
+         */
+        addAbbreviations: function (abbreviations) {
+            "use strict";
+            abbreviations.forEach(function (value) {
+                if (typeof value !== "string") {
+                    throw new TypeError("A string is required.");
+                }
+                value = value.toLowerCase().replace(/\.$/, "");
+                if (ReadingAge.abbreviations.indexOf(value) === -1) {
+                    ReadingAge.abbreviations.push(value);
+                }
+            });
+            ReadingAge.dictionaryVersion += 1;
+        },
+
+        /**
+         * Decide whether a sentence terminator really ends a sentence.
+         * Full stops after abbreviations, initials ("J. Smith"), initialisms ("U.S.") and list numbers don't,
+         * and no terminator does when the next word starts with a lowercase letter.
+         * Ellipses only end a sentence when the next word starts with a capital letter.
+         *
+         * @returns {boolean}
+         * @param {string} before The text of the sentence so far, up to the terminator.
+         * @param {string} terminator The terminating punctuation, e.g. ".", "?!" or "...".
+         * @param {string} after The rest of the text after the terminator and any closing quotes or brackets.
+         */
+        isSentenceBoundary: function (before, terminator, after) {
+            "use strict";
+            var nextWord = after.replace(/^[\s"'(\[\u201c\u2018]+/, ""), // The start of the next word, after any opening quotes or brackets
+                token = before.replace(/^[\s\S]*\s/, "").replace(/^["'(\[\u201c\u2018]+/, "").toLowerCase(); // The word before the terminator
+            if (nextWord.length === 0) { // The end of the text always ends a sentence
+                return true;
+            }
+            if (ReadingAge.isLowerCase(nextWord.charAt(0))) { // Sentences don't start with a lowercase letter
+                return false;
+            }
+            if (terminator.indexOf("\u2026") !== -1 || terminator.indexOf("..") !== -1) { // Ellipses need a capital letter to follow
+                return ReadingAge.isUpperCase(nextWord.charAt(0));
+            }
+            if (terminator !== ".") {
+                return true;
+            }
+            if (ReadingAge.abbreviations.indexOf(token) !== -1) {
+                return false;
+            }
+            if (ReadingAge.letterRegExp("^[{L}]$").test(token)) { // An initial, e.g. "J. Smith"
+                return false;
+            }
+            if (ReadingAge.letterRegExp("^(?:[{L}]\\.)+[{L}]$").test(token)) { // An initialism, e.g. "The U.S. Army"
+                return false;
+            }
+            if (ReadingAge.letterRegExp("^([0-9]+|[{L}])$").test(before.trim())) { // A list number, e.g. "1. First step"
+                return false;
+            }
+            return true;
+        },
+
+        /**
+         * Find each of the sentences in a passage of text.
+         * Line breaks always end a sentence, so headings and list items are never run into the following text.
+         * Within a line, sentences end at full stops, question marks, exclamation marks and ellipses
+         * (including any closing quotes or brackets) unless isSentenceBoundary says otherwise.
+         * Full stops inside numbers and initialisms ("3.5%", "U.K.") are never treated as terminators.
+         *
+         * @returns {array} The position of each sentence, as objects with start and end offsets, without surrounding white space.
+         * @param {string} text The passage of text to parse.
+         */
+        getSentenceRanges: function (text) {
+            "use strict";
+            var result = [],
+                lines = /[^\r\n]+/g,
+                line,
+                lineEnd,
+                terminators,
+                match,
+                start,
+                end,
+                addRange = function (start, end) { // Trim the white space from the range, and skip it if nothing is left
+                    while (start < end && /\s/.test(text.charAt(start))) {
+                        start += 1;
+                    }
+                    while (end > start && /\s/.test(text.charAt(end - 1))) {
+                        end -= 1;
+                    }
+                    if (end > start) {
+                        result.push({ start: start, end: end });
+                    }
+                };
+            if (typeof text !== "string") {
+                throw new TypeError("A string is required.");
+            }
+            while ((line = lines.exec(text)) !== null) {
+                terminators = /([.!?\u2026]+)["'\u201d\u2019)\]]*(?=\s|$)/g;
+                lineEnd = line.index + line[0].length;
+                start = line.index;
+                while ((match = terminators.exec(line[0])) !== null) {
+                    end = line.index + match.index + match[0].length;
+                    if (ReadingAge.isSentenceBoundary(text.slice(start, line.index + match.index), match[1], text.slice(end, lineEnd))) {
+                        addRange(start, end);
+                        start = end;
+                    }
+                }
+                addRange(start, lineEnd); // Catch cases where the line ends without a sentence terminator.
+            }
+            return result;
+        },
+
+        /**
+         * Return each of the sentences from a passage of text as an array.
+         * See getSentenceRanges for how sentences are found.
+         *
+         * @example ReadingAge.getSentences("The U.S. Army is big. It is old."); // ["The U.S. Army is big.", "It is old."]
+         *
+         * @returns {array}
+         * @param {string} text The passage of text to parse.
+         */
+        getSentences: function (text) {
+            "use strict";
+            return ReadingAge.getSentenceRanges(text).map(function (range) {
+                return text.slice(range.start, range.end);
+            });
+        },
+
+        /**
+         * For an array of words (strings),
+         * return a matching array of their numbers of syllables.
+         *
+         * @returns {array}
+         * @param {array} aryOfWords An array of strings, each containing a single word.
+         * @param {string} [language] The language of the words. Defaults to defaultLanguage.
+         */
+        getNumSyllablesPerWord: function (aryOfWords, language) {
+            "use strict";
+            var result = [];
+            aryOfWords.forEach(function (value) {
+                try {
+                    result.push(ReadingAge.getNumSyllablesInWord(value, language));
+                } catch (e) {
+                    console.log("Error in ReadingAge.getNumSyllablesPerWord");
+                    console.log(e);
+                    console.log({
+                        value: value,
+                        aryOfWords: aryOfWords
+                    });
+                }
+            });
+            return result;
+        },
+
+        /**
+         * For an array of numbers (number of syllables in a word),
+         * return an array of indexes where the value is 3 or higher.
+         *
+         * @example [3, 1, 4, 1, 5, 9] will return [0, 2, 4, 5]
+         *
+         * @returns {array}
+         * @param {array} aryOfNumSyllables An array of numbers - number of syllables in each word.
+         */
+        getComplexWordPositions: function (aryOfNumSyllables) {
+            "use strict";
+            var result = [];
+            aryOfNumSyllables.forEach(function (value, i) {
+                if (value >= 3) {
+                    result.push(i);
+                }
+            });
+            return result;
+        },
+
+        /**
+         * Given an array of words
+         * and an array of indexes within it that have complex words,
+         * return an array of those complex words.
+         *
+         * @returns {array}
+         * @param {array} aryOfWords An array of strings, each containing a single word.
+         * @param {array} aryOfComplexWordPositions An array of indexes of positions that have complex words.
+         */
+        getComplexWords: function (aryOfWords, aryOfComplexWordPositions) {
+            "use strict";
+            var result = [];
+            aryOfComplexWordPositions.forEach(function (value) {
+                result.push(aryOfWords[value]);
+            });
+            return result;
+        },
+
+        /**
+         * Count how many times each word is used, ignoring case.
+         *
+         * @returns {array} Objects with word (in lower case) and count, most used first.
+         * @param {array} aryOfWords An array of strings, each containing a single word.
+         */
+        getWordCounts: function (aryOfWords) {
+            "use strict";
+            var counts = [],
+                byWord = {};
+            aryOfWords.forEach(function (word) {
+                word = word.toLowerCase();
+                if (!byWord.hasOwnProperty(word)) {
+                    byWord[word] = {
+                        word: word,
+                        count: 0
+                    };
+                    counts.push(byWord[word]);
+                }
+                byWord[word].count += 1;
+            });
+            return counts.sort(function (a, b) {
+                return b.count - a.count;
+            });
+        },
+
+        /**
+         * Count the letters and digits in a word, ignoring punctuation such as apostrophes and hyphens.
+         *
+         * @returns {number}
+         * @param {string} word The word to scan.
+         */
+        getNumLettersInWord: function (word) {
+            "use strict";
+            var matches;
+            if (typeof word !== "string") {
+                throw new TypeError("A string is required.");
+            }
+            matches = word.match(ReadingAge.letterRegExp("[{L}0-9]", "g"));
+            if (matches === null) {
+                return 0;
+            }
+            return matches.length;
+        },
+
+        /**
+         * For an array of words (strings),
+         * return a matching array of their numbers of letters.
+         *
+         * @returns {array}
+         * @param {array} aryOfWords An array of strings, each containing a single word.
+         */
+        getNumLettersPerWord: function (aryOfWords) {
+            "use strict";
+            var result = [];
+            aryOfWords.forEach(function (value) {
+                result.push(ReadingAge.getNumLettersInWord(value));
+            });
+            return result;
+        },
+
+        /**
+         * Check whether a word is on the Dale-Chall list of familiar words.
+         * Regular inflections of familiar words (-s, -es, -ies, -ed, -ing, -er, -est, -'s) also count as familiar.
+         *
+         * @returns {boolean}
+         * @param {string} word The word to check.
+         */
+        isFamiliarWord: function (word) {
+            "use strict";
+            var lookup = ReadingAge.familiarWordLookup,
+                stems,
+                i;
+            if (lookup === undefined) { // Build the lookup the first time it is needed
+                lookup = {};
+                ReadingAge.daleChallFamiliarWords.forEach(function (value) {
+                    lookup[value] = true;
+                });
+                ReadingAge.familiarWordLookup = lookup;
+            }
+            word = word.toLowerCase();
+            if (lookup.hasOwnProperty(word)) {
+                return true;
+            }
+            stems = [
+                word.replace(/'s$/, ""),
+                word.replace(/s$/, ""),
+                word.replace(/es$/, ""),
+                word.replace(/ies$/, "y"),
+                word.replace(/ied$/, "y"),
+                word.replace(/d$/, ""),
+                word.replace(/ed$/, ""),
+                word.replace(/(.)\1ed$/, "$1"), // stopped -> stop
+                word.replace(/ing$/, ""),
+                word.replace(/ing$/, "e"), // making -> make
+                word.replace(/(.)\1ing$/, "$1"), // running -> run
+                word.replace(/r$/, ""),
+                word.replace(/er$/, ""),
+                word.replace(/st$/, ""),
+                word.replace(/est$/, "")
+            ];
+            for (i = 0; i < stems.length; i += 1) {
+                if (stems[i] !== word && lookup.hasOwnProperty(stems[i])) {
+                    return true;
+                }
+            }
+            return false;
+        },
+
+        /**
+         * For an array of words (strings),
+         * return an array of indexes of the words that are not familiar,
+         * by default meaning they are not on the Dale-Chall list of familiar words.
+         *
+         * @returns {array}
+         * @param {array} aryOfWords An array of strings, each containing a single word.
+         * @param {function} [isFamiliarWord] The function that decides whether a word is familiar. Defaults to isFamiliarWord.
+         */
+        getDifficultWordPositions: function (aryOfWords, isFamiliarWord) {
+            "use strict";
+            var result = [];
+            isFamiliarWord = isFamiliarWord || ReadingAge.isFamiliarWord;
+            aryOfWords.forEach(function (value, i) {
+                if (!isFamiliarWord(value)) {
+                    result.push(i);
+                }
+            });
+            return result;
+        },
+
+        /**
+         * Plain-language alternatives for words and phrases, keyed by language code and then by lower case word or phrase.
+         * Use addSubstitutions to change them.
+         *
+         * @see https://www.plainlanguage.gov/guidelines/words/use-simple-words-phrases/
+         */
+        substitutions: {
+            en: {
+                "a large number of": "many",
+                "a number of": "some",
+                "accompany": "go with",
+                "accomplish": "do, finish",
+                "accordingly": "so",
+                "additional": "more, extra",
+                "adjacent to": "next to",
+                "advise": "tell",
+                "amend": "change",
+                "anticipate": "expect",
+                "approximately": "about",
+                "ascertain": "find out",
+                "assist": "help",
+                "assistance": "help",
+                "at the present time": "now",
+                "at this point in time": "now",
+                "attempt": "try",
+                "beneficial": "helpful",
+                "commence": "start, begin",
+                "commenced": "started, began",
+                "comply with": "follow, meet",
+                "component": "part",
+                "concerning": "about",
+                "consequently": "so",
+                "constitute": "make up, form",
+                "demonstrate": "show",
+                "discontinue": "stop",
+                "due to the fact that": "because",
+                "endeavor": "try",
+                "endeavour": "try",
+                "ensure": "make sure",
+                "equivalent": "equal",
+                "establish": "set up",
+                "expedite": "speed up",
+                "facilitate": "help, make easier",
+                "for the purpose of": "to, for",
+                "frequently": "often",
+                "furthermore": "also",
+                "in accordance with": "under, following",
+                "in addition": "also",
+                "in excess of": "more than",
+                "in order to": "to",
+                "in relation to": "about",
+                "in respect of": "about, for",
+                "in the event of": "if",
+                "in the event that": "if",
+                "in the near future": "soon",
+                "indicate": "show",
+                "initial": "first",
+                "initiate": "start",
+                "locate": "find",
+                "magnitude": "size",
+                "modify": "change",
+                "necessitate": "need",
+                "notify": "tell",
+                "numerous": "many",
+                "objective": "aim",
+                "obtain": "get",
+                "on a daily basis": "daily",
+                "optimum": "best",
+                "participate": "take part",
+                "particulars": "details",
+                "per annum": "a year",
+                "possess": "have",
+                "preceding": "before",
+                "previously": "before",
+                "prior to": "before",
+                "proceed": "go ahead",
+                "purchase": "buy",
+                "regarding": "about",
+                "remainder": "rest",
+                "reside": "live",
+                "retain": "keep",
+                "subsequently": "later, then",
+                "sufficient": "enough",
+                "terminate": "end, stop",
+                "the majority of": "most",
+                "therefore": "so",
+                "transmit": "send",
+                "utilisation": "use",
+                "utilise": "use",
+                "utilised": "used",
+                "utilising": "using",
+                "utilization": "use",
+                "utilize": "use",
+                "utilized": "used",
+                "utilizing": "using",
+                "whilst": "while",
+                "with reference to": "about",
+                "with regard to": "about",
+                "with the exception of": "except"
+            }
+        },
+
+        /**
+         * The regular expressions that find substitutions, by language code. Built as needed by getSubstitutions.
+         */
+        substitutionRegExpCache: {},
+
+        /**
+         * Add site-specific plain-language alternatives for words and phrases, or change or remove the ones there are.
+         *
+         * @example Rhythm.ReadingAge.addSubstitutions({ "in the region of": "about", "whilst": null });
+         *
+         * @param {object} substitutions The alternatives, keyed by word or phrase. An empty or null alternative removes the entry.
+         * @param {string} [language] The language they are for, e.g. "en". Defaults to defaultLanguage.
+         */
+        addSubstitutions: function (substitutions, language) {
+            "use strict";
+            var code = ReadingAge.getLanguageCode(language);
+            ReadingAge.substitutions[code] = ReadingAge.substitutions[code] || {};
+            Object.keys(substitutions).forEach(function (phrase) {
+                var key = phrase.toLowerCase().replace(/\s+/g, " ").trim();
+                if (substitutions[phrase]) {
+                    ReadingAge.substitutions[code][key] = String(substitutions[phrase]);
+                } else {
+                    delete ReadingAge.substitutions[code][key];
+                }
+            });
+            delete ReadingAge.substitutionRegExpCache[code];
+            ReadingAge.dictionaryVersion += 1;
+        },
+
+        /**
+         * Find the words and phrases in a passage of text that have plain-language alternatives.
+         * Matching ignores case, and the words of a phrase can be split across lines.
+         *
+         * @returns {array} The matches in order, as objects with phrase (the dictionary entry), text (as written),
+         * start and end (character offsets in the text) and suggestion.
+         * @param {string} text The passage of text to search.
+         * @param {string} [language] The language of the text. Defaults to defaultLanguage.
+         */
+        getSubstitutions: function (text, language) {
+            "use strict";
+            var code = ReadingAge.getLanguageCode(language),
+                substitutions = ReadingAge.substitutions[code] || {},
+                phrases = Object.keys(substitutions),
+                result = [],
+                pattern,
+                match,
+                phrase;
+            if (phrases.length === 0) {
+                return result;
+            }
+            if (!ReadingAge.substitutionRegExpCache.hasOwnProperty(code)) {
+                // Longest first, so "in order to" is found rather than a shorter phrase inside it
+                phrases.sort(function (a, b) {
+                    return b.length - a.length;
+                });
+                ReadingAge.substitutionRegExpCache[code] = new RegExp("(^|[^" + ReadingAge.letters + "])(" + phrases.map(function (value) {
+                    return value.replace(/[.*+?\^${}()|\[\]\\]/g, "\\$&").replace(/ /g, "\\s+");
+                }).join("|") + ")(?![" + ReadingAge.letters + "])", "gi");
+            }
+            pattern = ReadingAge.substitutionRegExpCache[code];
+            pattern.lastIndex = 0;
+            match = pattern.exec(text);
+            while (match !== null) {
+                phrase = match[2].toLowerCase().replace(/\s+/g, " ");
+                result.push({
+                    phrase: phrase,
+                    text: match[2],
+                    start: match.index + match[1].length,
+                    end: match.index + match[0].length,
+                    suggestion: substitutions[phrase]
+                });
+                match = pattern.exec(text);
+            }
+            return result;
+        },
+
+        /**
+         * Summarise the substitutions found in a parseText result: one entry for each word or phrase, most used first.
+         *
+         * @returns {array} Objects with phrase, suggestion and count.
+         * @param {object} parsedResults The result of parseText or deepParseText.
+         */
+        getSubstitutionSummary: function (parsedResults) {
+            "use strict";
+            var summary = [],
+                byPhrase = {};
+            (parsedResults.substitutions || []).forEach(function (match) {
+                if (!byPhrase.hasOwnProperty(match.phrase)) {
+                    byPhrase[match.phrase] = {
+                        phrase: match.phrase,
+                        suggestion: match.suggestion,
+                        count: 0
+                    };
+                    summary.push(byPhrase[match.phrase]);
+                }
+                byPhrase[match.phrase].count += 1;
+            });
+            return summary.sort(function (a, b) {
+                return b.count - a.count;
+            });
+        },
+
+        /**
+         * The site's glossary of brand names and jargon, keyed by lower case word. A number gives the word a fixed syllable count;
+         * true leaves it out of the complex and unfamiliar words altogether. Use addGlossary to change it.
+         */
+        glossary: {},
+
+        /**
+         * Add words to the site's glossary, or change or remove the ones there are.
+         *
+         * @example Rhythm.ReadingAge.addGlossary({ Rhythmagency: true, Umbraco: true, Salesforce: 2 });
+         *
+         * @param {object} entries The words, each with a syllable count, true to leave it out of the complex and unfamiliar words,
+         * or null to remove it from the glossary.
+         */
+        addGlossary: function (entries) {
+            "use strict";
+            var normalised = ReadingAge.normaliseGlossary(entries);
+            Object.keys(entries).forEach(function (word) {
+                var key = word.toLowerCase().trim();
+                if (normalised.hasOwnProperty(key)) {
+                    ReadingAge.glossary[key] = normalised[key];
+                } else {
+                    delete ReadingAge.glossary[key];
+                }
+            });
+            ReadingAge.dictionaryVersion += 1;
+        },
+
+        /**
+         * Put glossary entries, e.g. from a site's glossary file, in the form getGlossaryEntry looks them up in:
+         * keyed by the word in lower case, and leaving out any that aren't a syllable count or true.
+         *
+         * @returns {object} The entries, in the same form as glossary.
+         * @param {object} entries The words, each with a syllable count or true, as for addGlossary.
+         */
+        normaliseGlossary: function (entries) {
+            "use strict";
+            var result = {};
+            Object.keys(entries).forEach(function (word) {
+                if (typeof entries[word] === "number" || entries[word] === true) {
+                    result[word.toLowerCase().trim()] = entries[word];
+                }
+            });
+            return result;
+        },
+
+        /**
+         * Look a word up in the glossary, ignoring case and any possessive "'s".
+         *
+         * @returns {number|boolean|undefined} The word's fixed syllable count, true if it isn't complex, or undefined if it isn't in the glossary.
+         * @param {string} word The word to look up.
+         * @param {object} [glossary] Further glossary entries, in the same form as glossary, which take precedence.
+         */
+        getGlossaryEntry: function (word, glossary) {
+            "use strict";
+            var keys = [word.toLowerCase()],
+                i;
+            keys.push(keys[0].replace(/['\u2019]s$/, ""));
+            for (i = 0; i < keys.length; i += 1) {
+                if (glossary && glossary.hasOwnProperty(keys[i])) {
+                    return glossary[keys[i]];
+                }
+                if (ReadingAge.glossary.hasOwnProperty(keys[i])) {
+                    return ReadingAge.glossary[keys[i]];
+                }
+            }
+            return undefined;
+        },
+
+        /**
+         * Summarise the glossary words found in a parseText result: one entry for each word, most used first.
+         *
+         * @returns {array} Objects with word (in lower case), count, and either syllables (its fixed syllable count) or excluded (true).
+         * @param {object} parsedResults The result of parseText or deepParseText.
+         */
+        getGlossarySummary: function (parsedResults) {
+            "use strict";
+            var summary = [],
+                byWord = {};
+            (parsedResults.glossaryWords || []).forEach(function (item) {
+                var key = item.word.toLowerCase().replace(/['\u2019]s$/, "");
+                if (!byWord.hasOwnProperty(key)) {
+                    byWord[key] = {
+                        word: key,
+                        count: 0
+                    };
+                    if (item.excluded) {
+                        byWord[key].excluded = true;
+                    } else {
+                        byWord[key].syllables = item.syllables;
+                    }
+                    summary.push(byWord[key]);
+                }
+                byWord[key].count += 1;
+            });
+            return summary.sort(function (a, b) {
+                return b.count - a.count;
+            });
+        },
+
+        /**
+         * Get the dictionaries a site can add to (syllableExceptions, abbreviations, glossary and substitutions),
+         * e.g. to send them to another copy of ReadingAge in a Web Worker, which applies them with applyCustomisations.
+         * Syllable counters are functions, so they can't be sent and aren't included.
+         *
+         * @returns {object} The dictionaries, keyed by name.
+         */
+        getCustomisations: function () {
+            "use strict";
+            return {
+                syllableExceptions: ReadingAge.syllableExceptions,
+                abbreviations: ReadingAge.abbreviations,
+                glossary: ReadingAge.glossary,
+                substitutions: ReadingAge.substitutions
+            };
+        },
+
+        /**
+         * Replace the dictionaries a site can add to with those from getCustomisations.
+         *
+         * @param {object} customisations The dictionaries, keyed by name, as from getCustomisations. Any left out are kept.
+         */
+        applyCustomisations: function (customisations) {
+            "use strict";
+            ["syllableExceptions", "abbreviations", "glossary", "substitutions"].forEach(function (name) {
+                if (customisations[name] !== undefined) {
+                    ReadingAge[name] = customisations[name];
+                }
+            });
+            ReadingAge.substitutionRegExpCache = {};
+            ReadingAge.dictionaryVersion += 1;
+        },
+
+        /**
+         * Convert a New Dale-Chall score into an approximate US grade level,
+         * taking the middle of each grade band in the published score table.
+         *
+         * @returns {number}
+         * @param {number} score The New Dale-Chall score.
+         */
+        daleChallToGradeLevel: function (score) {
+            "use strict";
+            if (isNaN(score)) { // No words to score
+                return NaN;
+            }
+            if (score < 5) {
+                return 4;
+            }
+            if (score < 6) {
+                return 5.5;
+            }
+            if (score < 7) {
+                return 7.5;
+            }
+            if (score < 8) {
+                return 9.5;
+            }
+            if (score < 9) {
+                return 11.5;
+            }
+            if (score < 10) {
+                return 14;
+            }
+            return 16;
+        },
+
+        /**
+         * Convert a Flesch-style reading ease score (0 to 100, higher is easier) into an approximate US grade level,
+         * taking the middle of each grade band in Flesch's table.
+         *
+         * @returns {number}
+         * @param {number} score The reading ease score.
+         */
+        readingEaseToGradeLevel: function (score) {
+            "use strict";
+            if (isNaN(score)) { // No words to score
+                return NaN;
+            }
+            if (score >= 90) {
+                return 5;
+            }
+            if (score >= 80) {
+                return 6;
+            }
+            if (score >= 70) {
+                return 7;
+            }
+            if (score >= 60) {
+                return 8.5;
+            }
+            if (score >= 50) {
+                return 11;
+            }
+            if (score >= 30) {
+                return 14.5;
+            }
+            return 17;
+        },
+
+        /**
+         * Readability formulas, keyed by the property they set on a parseText result.
+         * Each is passed the parseText result, with its counts and averages filled in, and returns its score.
+         * Formulas can depend on formulas listed before them in a language profile.
+         */
+        formulas: {
+            fleschKincaidReadingEase: function (result) {
+                "use strict";
+                return 206.835 - 1.015 * result.averageWordsPerSentence - 84.6 * result.averageSyllablesPerWord;
+            },
+            fleschKincaidGradeLevel: function (result) {
+                "use strict";
+                return 0.39 * result.averageWordsPerSentence + 11.8 * result.averageSyllablesPerWord - 15.59;
+            },
+            gunningFogIndex: function (result) {
+                "use strict";
+                return 0.4 * (result.averageWordsPerSentence + 100 * result.complexWordRatio);
+            },
+            smogIndex: function (result) {
+                "use strict";
+                return 1.0430 * Math.sqrt(30 * result.complexWordsPerSentence) + 3.1291;
+            },
+            colemanLiauIndex: function (result) {
+                "use strict";
+                return 0.0588 * (100 * result.averageLettersPerWord) - 0.296 * (100 / result.averageWordsPerSentence) - 15.8;
+            },
+            automatedReadabilityIndex: function (result) {
+                "use strict";
+                return 4.71 * result.averageLettersPerWord + 0.5 * result.averageWordsPerSentence - 21.43;
+            },
+            daleChallScore: function (result) {
+                "use strict";
+                var score = 0.1579 * (100 * result.difficultWordRatio) + 0.0496 * result.averageWordsPerSentence;
+                if (result.difficultWordRatio > 0.05) { // Adjustment for passages with more than 5% difficult words
+                    score += 3.6365;
+                }
+                return score;
+            },
+            daleChallGradeLevel: function (result) {
+                "use strict";
+                return ReadingAge.daleChallToGradeLevel(result.daleChallScore);
+            },
+            linsearWriteGradeLevel: function (result) {
+                "use strict";
+                // Linsear Write scores easy words as 1 and complex words as 3, per sentence
+                var score = (result.numWords + 2 * result.numComplexWords) / result.numSentences;
+                if (score > 20) {
+                    return score / 2;
+                }
+                return (score - 2) / 2;
+            },
+            fleschAmstadReadingEase: function (result) {
+                "use strict";
+                return 180 - result.averageWordsPerSentence - 58.5 * result.averageSyllablesPerWord;
+            },
+            fleschAmstadGradeLevel: function (result) {
+                "use strict";
+                return ReadingAge.readingEaseToGradeLevel(result.fleschAmstadReadingEase);
+            },
+            wienerSachtextformel: function (result) {
+                "use strict";
+                // The first Wiener Sachtextformel, for non-fiction
+                var longWords = 0,
+                    oneSyllableWords = 0;
+                result.letters.forEach(function (value) {
+                    if (value > 6) {
+                        longWords += 1;
+                    }
+                });
+                result.syllables.forEach(function (value) {
+                    if (value === 1) {
+                        oneSyllableWords += 1;
+                    }
+                });
+                return 0.1935 * (100 * result.complexWordRatio) + 0.1672 * result.averageWordsPerSentence +
+                    0.1297 * (100 * longWords / result.numWords) - 0.0327 * (100 * oneSyllableWords / result.numWords) - 0.875;
+            },
+            fernandezHuertaReadingEase: function (result) {
+                "use strict";
+                // With Law's correction, which uses the average sentence length as Flesch does
+                return 206.84 - 60 * result.averageSyllablesPerWord - 1.02 * result.averageWordsPerSentence;
+            },
+            fernandezHuertaGradeLevel: function (result) {
+                "use strict";
+                return ReadingAge.readingEaseToGradeLevel(result.fernandezHuertaReadingEase);
+            },
+            kandelMolesReadingEase: function (result) {
+                "use strict";
+                return 207 - 1.015 * result.averageWordsPerSentence - 73.6 * result.averageSyllablesPerWord;
+            },
+            kandelMolesGradeLevel: function (result) {
+                "use strict";
+                return ReadingAge.readingEaseToGradeLevel(result.kandelMolesReadingEase);
+            }
+        },
+
+        /**
+         * Count the groups of consecutive vowels in a word, as a simple syllable count.
+         * Every word has at least one syllable.
+         *
+         * @returns {number}
+         * @param {string} word The lowercase word to scan.
+         * @param {string} vowels The vowels of the word's language, as a regular expression character class (without brackets).
+         */
+        countVowelGroups: function (word, vowels) {
+            "use strict";
+            var matches = word.match(ReadingAge.letterRegExp("[" + vowels + "]+", "g"));
+            if (matches === null) {
+                return 1;
+            }
+            return matches.length;
+        },
+
+        /**
+         * The language used when none is given, or when there is no profile for the language given.
+         */
+        defaultLanguage: "en",
+
+        /**
+         * Language profiles, keyed by ISO 639-1 language code.
+         * Each profile has a name, a countSyllables function (passed a lowercase word containing letters only),
+         * the formulas from ReadingAge.formulas that apply to the language,
+         * and optionally the grade level formulas to average for the composite reading age (compositeFormulas),
+         * an isFamiliarWord function for the Dale-Chall difficult word counts,
+         * and stopwords: the common lowercase words to leave out of the most repeated words.
+         * Sites can add their own profiles to this object.
+         */
+        languages: {
+            en: {
+                name: "English",
+                countSyllables: function (word) {
+                    "use strict";
+                    return ReadingAge.countSyllablesByRules(ReadingAge.removeDiacritics(word).replace(/[^a-z]+/g, ""));
+                },
+                isFamiliarWord: function (word) {
+                    "use strict";
+                    return ReadingAge.isFamiliarWord(word);
+                },
+                formulas: ["fleschKincaidReadingEase", "fleschKincaidGradeLevel", "gunningFogIndex", "smogIndex",
+                    "colemanLiauIndex", "automatedReadabilityIndex", "daleChallScore", "daleChallGradeLevel", "linsearWriteGradeLevel"],
+                stopwords: ["a", "about", "above", "after", "again", "against", "all", "also", "am", "an", "and", "any", "are", "as", "at",
+                    "be", "because", "been", "before", "being", "below", "between", "both", "but", "by", "can", "could", "did", "do", "does",
+                    "doing", "down", "during", "each", "even", "few", "for", "from", "further", "get", "got", "had", "has", "have", "having",
+                    "he", "her", "here", "hers", "herself", "him", "himself", "his", "how", "i", "if", "in", "into", "is", "it", "its",
+                    "itself", "just", "may", "me", "might", "more", "most", "much", "must", "my", "myself", "no", "nor", "not", "now", "of",
+                    "off", "on", "once", "one", "only", "or", "other", "our", "ours", "ourselves", "out", "over", "own", "same", "shall",
+                    "she", "should", "so", "some", "such", "than", "that", "the", "their", "theirs", "them", "themselves", "then", "there",
+                    "these", "they", "this", "those", "through", "to", "too", "under", "until", "up", "us", "very", "was", "we", "were",
+                    "what", "when", "where", "which", "while", "who", "whom", "why", "will", "with", "would", "you", "your", "yours",
+                    "yourself", "yourselves", "it's", "don't", "can't", "won't", "isn't", "aren't", "doesn't", "didn't", "i'm", "you're",
+                    "we're", "they're", "i've", "you've", "we've", "they've", "that's", "there's"]
+            },
+            de: {
+                name: "German",
+                countSyllables: function (word) {
+                    "use strict";
+                    return ReadingAge.countVowelGroups(word, "aeiouy\u00e4\u00f6\u00fc");
+                },
+                formulas: ["fleschAmstadReadingEase", "fleschAmstadGradeLevel", "wienerSachtextformel"],
+                compositeFormulas: ["fleschAmstadGradeLevel", "wienerSachtextformel"],
+                stopwords: ["aber", "alle", "als", "also", "am", "an", "auch", "auf", "aus", "bei", "bin", "bis", "bist", "da", "damit", "dann",
+                    "das", "dass", "dem", "den", "denn", "der", "des", "die", "dies", "diese", "diesem", "diesen", "dieser", "dieses", "doch",
+                    "du", "durch", "ein", "eine", "einem", "einen", "einer", "eines", "er", "es", "f\u00fcr", "hat", "hatte", "haben", "ich",
+                    "ihr", "ihre", "ihrem", "ihren", "ihrer", "im", "in", "ist", "ja", "jede", "jeder", "jedes", "kann", "kein", "keine",
+                    "man", "mehr", "mit", "nach", "nicht", "noch", "nur", "ob", "oder", "ohne", "sehr", "sein", "seine", "sich", "sie",
+                    "sind", "so", "um", "und", "uns", "unser", "unter", "vom", "von", "vor", "war", "waren", "was", "wenn", "werden", "wie",
+                    "wir", "wird", "wo", "zu", "zum", "zur", "\u00fcber"]
+            },
+            es: {
+                name: "Spanish",
+                countSyllables: function (word) {
+                    "use strict";
+                    var count = 0;
+                    word = word.replace(/([qg])u([ei\u00e9\u00ed])/g, "$1$2"); // The u in que, qui, gue and gui is silent
+                    word = word.replace(/y$/, "i"); // A final y is a vowel, as in "hoy"
+                    (word.match(/[aeiou\u00e1\u00e9\u00ed\u00f3\u00fa\u00fc]+/g) || []).forEach(function (group) {
+                        // Strong vowels (a, e, o and accented vowels) next to each other are separate syllables,
+                        // while weak vowels (i, u) join a strong vowel in a diphthong
+                        var strongVowels = group.match(/[aeo\u00e1\u00e9\u00ed\u00f3\u00fa]/g);
+                        count += strongVowels === null ? 1 : strongVowels.length;
+                    });
+                    return Math.max(count, 1);
+                },
+                formulas: ["fernandezHuertaReadingEase", "fernandezHuertaGradeLevel"],
+                compositeFormulas: ["fernandezHuertaGradeLevel"],
+                stopwords: ["a", "al", "algo", "como", "con", "cuando", "de", "del", "desde", "donde", "el", "ella", "ellas", "ellos", "en",
+                    "entre", "era", "es", "esa", "ese", "eso", "esta", "est\u00e1", "estaba", "est\u00e1n", "este", "esto", "fue", "ha", "han",
+                    "hay", "la", "las", "le", "les", "lo", "los", "m\u00e1s", "me", "mi", "muy", "mucho", "ni", "no", "nos", "nosotros", "o",
+                    "otro", "otra", "para", "pero", "poco", "por", "porque", "que", "qu\u00e9", "se", "ser", "si", "s\u00ed", "sin", "sobre",
+                    "son", "su", "sus", "tambi\u00e9n", "te", "tiene", "todo", "todos", "tu", "t\u00fa", "un", "una", "uno", "unos", "y", "ya", "yo"]
+            },
+            fr: {
+                name: "French",
+                countSyllables: function (word) {
+                    "use strict";
+                    var vowels = "aeiouy\u00e0\u00e2\u00e4\u00e6\u00e8\u00e9\u00ea\u00eb\u00ee\u00ef\u00f4\u00f6\u00f9\u00fb\u00fc\u0153",
+                        count;
+                    if (ReadingAge.countVowelGroups(word, vowels) > 1) {
+                        word = word.replace(/([^aeiouy])es?$/, "$1"); // A final -e or -es is silent
+                    }
+                    count = ReadingAge.countVowelGroups(word, vowels);
+                    // An accent or diaeresis next to another vowel splits it from that vowel, as in "na\u00eff" and "r\u00e9alit\u00e9"
+                    count += (word.match(new RegExp("[" + vowels + "][\u00e8\u00e9\u00eb\u00ef\u00fc]|[\u00e9][" + vowels + "]", "g")) || []).length;
+                    return count;
+                },
+                formulas: ["kandelMolesReadingEase", "kandelMolesGradeLevel"],
+                compositeFormulas: ["kandelMolesGradeLevel"],
+                stopwords: ["a", "au", "aux", "avec", "ce", "ces", "cette", "dans", "de", "des", "du", "elle", "elles", "en", "est", "et", "eu",
+                    "il", "ils", "je", "la", "le", "les", "leur", "leurs", "lui", "ma", "mais", "me", "mes", "moi", "mon", "ne", "nos",
+                    "notre", "nous", "on", "ont", "ou", "o\u00f9", "par", "pas", "pour", "qu", "que", "qui", "sa", "se", "ses", "son",
+                    "sont", "sur", "ta", "te", "tes", "toi", "ton", "tous", "tout", "tu", "un", "une", "vos", "votre", "vous", "y",
+                    "\u00e0", "\u00e9t\u00e9", "\u00eatre", "c'est", "l'", "d'", "j'", "n'", "s'"]
+            },
+            cy: {
+                name: "Welsh",
+                // Welsh has no readability formula of its own, so Flesch's are used as a rough guide
+                countSyllables: function (word) {
+                    "use strict";
+                    return ReadingAge.countVowelGroups(ReadingAge.removeDiacritics(word), "aeiouwy");
+                },
+                formulas: ["fleschKincaidReadingEase", "fleschKincaidGradeLevel"],
+                compositeFormulas: ["fleschKincaidGradeLevel"],
+                stopwords: ["a", "ac", "ag", "am", "ar", "at", "bod", "bydd", "chi", "dan", "dros", "drwy", "ddim", "ei", "eich", "ein", "eu",
+                    "fe", "fel", "fi", "fy", "gan", "gyda", "heb", "hi", "hwn", "hon", "hyn", "hynny", "i", "mae", "maen", "na", "nad",
+                    "neu", "ni", "nid", "o", "oedd", "ond", "os", "pan", "pob", "roedd", "sydd", "sy", "wedi", "wrth", "y", "yma", "yn",
+                    "yr", "yw", "ydy", "ydyn"]
+            }
+        },
+
+        /**
+         * Find the language profile to use for a language code or tag, e.g. "de" or "de-CH".
+         *
+         * @returns {string} The key of the profile in languages, or defaultLanguage if there is no profile for the language.
+         * @param {string} [language] The language code or tag.
+         */
+        getLanguageCode: function (language) {
+            "use strict";
+            var code;
+            if (typeof language !== "string" || language.length === 0) {
+                return ReadingAge.defaultLanguage;
+            }
+            code = language.toLowerCase().split(/[\-_]/)[0];
+            if (!ReadingAge.languages.hasOwnProperty(code)) {
+                return ReadingAge.defaultLanguage;
+            }
+            return code;
+        },
+
+        /**
+         * The grade level formulas in a parseText result, keyed by their property name.
+         * Any of these can be averaged into a composite by getCompositeGradeLevel.
+         */
+        gradeLevelFormulas: {
+            fleschKincaidGradeLevel: "Flesch Kincaid Grade Level",
+            gunningFogIndex: "Gunning Fog Index",
+            smogIndex: "Simple Measure Of Gobbledygook (SMOG) Index",
+            colemanLiauIndex: "Coleman-Liau Index",
+            automatedReadabilityIndex: "Automated Readability Index",
+            daleChallGradeLevel: "New Dale-Chall Grade Level",
+            linsearWriteGradeLevel: "Linsear Write Grade Level",
+            fleschAmstadGradeLevel: "Flesch-Amstad Grade Level",
+            wienerSachtextformel: "Wiener Sachtextformel",
+            fernandezHuertaGradeLevel: "Fern\u00e1ndez-Huerta Grade Level",
+            kandelMolesGradeLevel: "Kandel-Moles Grade Level"
+        },
+
+        /**
+         * The formulas that give a score rather than a grade level, with their names for reports.
+         */
+        scoreFormulas: {
+            fleschKincaidReadingEase: "Flesch Kincaid Reading Ease",
+            daleChallScore: "New Dale-Chall Score",
+            fleschAmstadReadingEase: "Flesch-Amstad Reading Ease",
+            fernandezHuertaReadingEase: "Fern\u00e1ndez-Huerta Reading Ease",
+            kandelMolesReadingEase: "Kandel-Moles Reading Ease"
+        },
+
+        /**
+         * The grade level formulas averaged by getCompositeGradeLevel when none are specified
+         * and the language profile doesn't have its own compositeFormulas.
+         */
+        defaultCompositeFormulas: ["fleschKincaidGradeLevel", "gunningFogIndex", "smogIndex"],
+
+        /**
+         * Average a set of grade level formulas from a parseText result.
+         * Unknown formula names and formulas that could not be calculated (e.g. for empty text) are skipped.
+         *
+         * @returns {number} The average grade level, or NaN if none of the formulas had a value.
+         * @param {object} parsedResults The result of parseText or deepParseText.
+         * @param {array} [formulas] The property names of the formulas to average.
+         * Defaults to the compositeFormulas of the result's language profile, or defaultCompositeFormulas.
+         */
+        getCompositeGradeLevel: function (parsedResults, formulas) {
+            "use strict";
+            var total = 0,
+                count = 0;
+            if (formulas === undefined) {
+                formulas = ReadingAge.languages[ReadingAge.getLanguageCode(parsedResults.language)].compositeFormulas ||
+                    ReadingAge.defaultCompositeFormulas;
+            }
+            formulas.forEach(function (name) {
+                if (ReadingAge.gradeLevelFormulas.hasOwnProperty(name) && isFinite(parsedResults[name])) {
+                    total += parsedResults[name];
+                    count += 1;
+                }
+            });
+            if (count === 0) {
+                return NaN;
+            }
+            return total / count;
+        },
+
+        /**
+         * Check a parseText result against a target grade level and optional maximums for individual formulas.
+         * The result passes if the composite grade level is within the target and no maximum is exceeded,
+         * warns if the composite is over the target by no more than the margin,
+         * and fails if it is further over, or if any maximum is exceeded.
+         *
+         * @returns {object} The composite gradeLevel, a status of "pass", "warn" or "fail",
+         * and the thresholds exceeded, as an array of objects with formula, label, value and limit.
+         * @param {object} parsedResults The result of parseText or deepParseText.
+         * @param {object} options The thresholds to check.
+         * @param {number} [options.target] The highest acceptable composite grade level.
+         * @param {number} [options.margin] How far the composite can go over the target before failing. Defaults to 2.
+         * @param {object} [options.maximums] The highest acceptable scores for individual grade level formulas, keyed by formula name.
+         * @param {array} [options.formulas] The formulas to average for the composite, as for getCompositeGradeLevel.
+         */
+        checkReadingAge: function (parsedResults, options) {
+            "use strict";
+            var result = {
+                    gradeLevel: ReadingAge.getCompositeGradeLevel(parsedResults, options.formulas),
+                    status: "pass",
+                    exceeded: []
+                },
+                margin = options.margin === undefined ? 2 : options.margin,
+                maximums = options.maximums || {};
+            if (isFinite(options.target) && result.gradeLevel > options.target) {
+                result.status = result.gradeLevel > options.target + margin ? "fail" : "warn";
+                result.exceeded.push({
+                    formula: "composite",
+                    label: "Reading age",
+                    value: result.gradeLevel,
+                    limit: options.target
+                });
+            }
+            Object.keys(maximums).forEach(function (name) {
+                if (isFinite(parsedResults[name]) && parsedResults[name] > maximums[name]) {
+                    result.status = "fail";
+                    result.exceeded.push({
+                        formula: name,
+                        label: ReadingAge.gradeLevelFormulas[name] || name,
+                        value: parsedResults[name],
+                        limit: maximums[name]
+                    });
+                }
+            });
+            return result;
+        },
+
+        /**
+         * The audience used when none is given, or an unknown one is.
+         */
+        defaultAudience: "usGrade",
+
+        /**
+         * What audiences label and describe a grade level that isn't a number as, e.g. for empty content.
+         */
+        notEnoughTextLabel: "Not enough text",
+        notEnoughTextDescription: "There is not enough text to score",
+
+        /**
+         * Audience profiles, for showing grade levels in the terms the readers of a site are measured in, keyed by name.
+         * Each profile has a name, a label function giving a short figure for a grade level (as in the TinyMCE status bar),
+         * and a describe function giving a sentence about who can read it, for the report.
+         * Both give notEnoughTextLabel or notEnoughTextDescription for a grade level that isn't a finite number.
+         * Profiles on a numeric scale also have a value function, converting a grade level to that scale,
+         * so changes can be shown as differences; for the others they are shown as the earlier label.
+         * Sites can add their own profiles to this object.
+         */
+        audiences: {
+            usGrade: {
+                name: "US grade level",
+                value: function (gradeLevel) {
+                    "use strict";
+                    return gradeLevel;
+                },
+                label: function (gradeLevel) {
+                    "use strict";
+                    if (!isFinite(gradeLevel)) {
+                        return ReadingAge.notEnoughTextLabel;
+                    }
+                    return "US grade " + gradeLevel.toFixed(1);
+                },
+                describe: function (gradeLevel) {
+                    "use strict";
+                    var grade = Math.round(gradeLevel);
+                    if (!isFinite(gradeLevel)) {
+                        return ReadingAge.notEnoughTextDescription;
+                    }
+                    if (grade < 1) {
+                        return "Typically understood by readers in kindergarten";
+                    }
+                    if (grade > 12) {
+                        return "Typically understood by readers at college level (grade " + grade + ")";
+                    }
+                    return "Typically understood by readers in grade " + grade;
+                }
+            },
+            // A UK reading age is the chronological age of a typical reader, about five years more than a US grade
+            ukReadingAge: {
+                name: "UK reading age",
+                value: function (gradeLevel) {
+                    "use strict";
+                    return gradeLevel + 5;
+                },
+                label: function (gradeLevel) {
+                    "use strict";
+                    if (!isFinite(gradeLevel)) {
+                        return ReadingAge.notEnoughTextLabel;
+                    }
+                    return "Reading age " + (gradeLevel + 5).toFixed(1);
+                },
+                describe: function (gradeLevel) {
+                    "use strict";
+                    var age = Math.round(gradeLevel + 5);
+                    if (!isFinite(gradeLevel)) {
+                        return ReadingAge.notEnoughTextDescription;
+                    }
+                    if (age > 17) {
+                        return "Typically understood by readers with an adult reading age (" + age + ")";
+                    }
+                    return "Typically understood by readers with a reading age of " + Math.max(age, 5);
+                }
+            },
+            // English year groups run a year ahead of US grades, as Year 1 starts at 5 rather than 6
+            ukYearGroup: {
+                name: "UK year group",
+                value: function (gradeLevel) {
+                    "use strict";
+                    return gradeLevel + 1;
+                },
+                label: function (gradeLevel) {
+                    "use strict";
+                    var year = Math.round(gradeLevel + 1);
+                    if (!isFinite(gradeLevel)) {
+                        return ReadingAge.notEnoughTextLabel;
+                    }
+                    if (year < 1) {
+                        return "Reception";
+                    }
+                    return year > 13 ? "Beyond Year 13" : "Year " + year;
+                },
+                describe: function (gradeLevel) {
+                    "use strict";
+                    var year = Math.round(gradeLevel + 1);
+                    if (!isFinite(gradeLevel)) {
+                        return ReadingAge.notEnoughTextDescription;
+                    }
+                    if (year < 1) {
+                        return "Typically understood by pupils in Reception (Early Years)";
+                    }
+                    if (year > 13) {
+                        return "Typically understood by readers at university level";
+                    }
+                    return "Typically understood by pupils in Year " + year + " (" +
+                        (year <= 2 ? "Key Stage 1" : year <= 6 ? "Key Stage 2" : year <= 9 ? "Key Stage 3" : year <= 11 ? "Key Stage 4" : "sixth form") + ")";
+                }
+            },
+            // There is no standard conversion from readability scores to CEFR levels, so this is a rough estimate
+            // for learners of the language, from the grade levels native readers reach at each stage
+            cefr: {
+                name: "CEFR level (estimated)",
+                levels: [
+                    { level: "A1", name: "beginner", maxGradeLevel: 1 },
+                    { level: "A2", name: "elementary", maxGradeLevel: 3 },
+                    { level: "B1", name: "intermediate", maxGradeLevel: 6 },
+                    { level: "B2", name: "upper intermediate", maxGradeLevel: 9 },
+                    { level: "C1", name: "advanced", maxGradeLevel: 12 },
+                    { level: "C2", name: "proficient", maxGradeLevel: Infinity }
+                ],
+                // The level for a grade level, or null if it isn't a finite number
+                getLevel: function (gradeLevel) {
+                    "use strict";
+                    if (!isFinite(gradeLevel)) {
+                        return null;
+                    }
+                    return ReadingAge.audiences.cefr.levels.filter(function (level) {
+                        return gradeLevel <= level.maxGradeLevel;
+                    })[0];
+                },
+                label: function (gradeLevel) {
+                    "use strict";
+                    if (!isFinite(gradeLevel)) {
+                        return ReadingAge.notEnoughTextLabel;
+                    }
+                    return "CEFR " + ReadingAge.audiences.cefr.getLevel(gradeLevel).level;
+                },
+                describe: function (gradeLevel) {
+                    "use strict";
+                    var level = ReadingAge.audiences.cefr.getLevel(gradeLevel);
+                    if (!isFinite(gradeLevel)) {
+                        return ReadingAge.notEnoughTextDescription;
+                    }
+                    return "Roughly CEFR level " + level.level + " (" + level.name + ") for learners of the language";
+                }
+            }
+        },
+
+        /**
+         * Find an audience profile by name.
+         *
+         * @returns {object} The profile from audiences, or the defaultAudience one if there is no profile with that name.
+         * @param {string} [audience] The name of the profile, e.g. "ukReadingAge".
+         */
+        getAudience: function (audience) {
+            "use strict";
+            if (typeof audience === "string" && ReadingAge.audiences.hasOwnProperty(audience)) {
+                return ReadingAge.audiences[audience];
+            }
+            return ReadingAge.audiences[ReadingAge.defaultAudience];
+        },
+
+        /**
+         * Describe how a grade level has changed for an audience, e.g. "+1.5 since open" or "was CEFR C1 when opened".
+         *
+         * @returns {string} The change, or an empty string if it doesn't show at the audience's precision
+         * or either grade level isn't a finite number.
+         * @param {object} audience An audience profile, from getAudience.
+         * @param {number} gradeLevel The grade level now.
+         * @param {number} baseline The grade level before.
+         */
+        describeAudienceChange: function (audience, gradeLevel, baseline) {
+            "use strict";
+            if (!isFinite(gradeLevel) || !isFinite(baseline)) {
+                return "";
+            }
+            if (audience.value === undefined) {
+                return audience.label(gradeLevel) === audience.label(baseline) ? "" : "was " + audience.label(baseline) + " when opened";
+            }
+            if (audience.value(gradeLevel).toFixed(1) === audience.value(baseline).toFixed(1)) {
+                return "";
+            }
+            return ReadingAge.formatDifference(audience.value(gradeLevel) - audience.value(baseline)) + " since open";
+        },
+
+        arrayAdd: function (ary) {
+            "use strict";
+            var result = 0;
+            ary.forEach(function (num) {
+                if (typeof num === "number") {
+                    result += num;
+                }
+            });
+            return result;
+        },
+
+        /**
+         * Named character references for the Latin-1 characters, in order from U+00A0 (nbsp) to U+00FF (yuml).
+         */
+        latin1EntityNames: (
+            "nbsp iexcl cent pound curren yen brvbar sect uml copy ordf laquo not shy reg macr " +
+            "deg plusmn sup2 sup3 acute micro para middot cedil sup1 ordm raquo frac14 frac12 frac34 iquest " +
+            "Agrave Aacute Acirc Atilde Auml Aring AElig Ccedil Egrave Eacute Ecirc Euml Igrave Iacute Icirc Iuml " +
+            "ETH Ntilde Ograve Oacute Ocirc Otilde Ouml times Oslash Ugrave Uacute Ucirc Uuml Yacute THORN szlig " +
+            "agrave aacute acirc atilde auml aring aelig ccedil egrave eacute ecirc euml igrave iacute icirc iuml " +
+            "eth ntilde ograve oacute ocirc otilde ouml divide oslash ugrave uacute ucirc uuml yacute thorn yuml"
+        ).split(" "),
+
+        /**
+         * Other named character references likely to turn up in prose, with their character codes.
+         */
+        htmlEntities: {
+            amp: 38,
+            lt: 60,
+            gt: 62,
+            quot: 34,
+            apos: 39,
+            OElig: 338,
+            oelig: 339,
+            Scaron: 352,
+            scaron: 353,
+            Yuml: 376,
+            ensp: 8194,
+            emsp: 8195,
+            thinsp: 8201,
+            zwnj: 8204,
+            zwj: 8205,
+            ndash: 8211,
+            mdash: 8212,
+            lsquo: 8216,
+            rsquo: 8217,
+            sbquo: 8218,
+            ldquo: 8220,
+            rdquo: 8221,
+            bdquo: 8222,
+            bull: 8226,
+            hellip: 8230,
+            prime: 8242,
+            Prime: 8243,
+            euro: 8364,
+            trade: 8482
+        },
+
+        /**
+         * Decode the character references (e.g. &amp;amp;, &amp;#233; and &amp;#xe9;) in HTML text.
+         * Unknown named references are left as they are.
+         */
+        decodeHtmlEntities: function (text) {
+            "use strict";
+            return text.replace(/&(#[0-9]+|#x[0-9a-f]+|[a-z][a-z0-9]*);/gi, function (reference, name) {
+                var code;
+                if (name.charAt(0) === "#") {
+                    code = name.charAt(1).toLowerCase() === "x" ? parseInt(name.substr(2), 16) : parseInt(name.substr(1), 10);
+                } else if (ReadingAge.htmlEntities.hasOwnProperty(name)) {
+                    code = ReadingAge.htmlEntities[name];
+                } else if (ReadingAge.latin1EntityNames.indexOf(name) !== -1) {
+                    code = 160 + ReadingAge.latin1EntityNames.indexOf(name);
+                } else {
+                    return reference;
+                }
+                if (code === 0 || code > 0x10ffff) {
+                    return "\ufffd";
+                }
+                if (code > 0xffff) { // Outside the Basic Multilingual Plane, so a surrogate pair
+                    code -= 0x10000;
+                    return String.fromCharCode(0xd800 + (code >> 10), 0xdc00 + (code & 0x3ff));
+                }
+                return String.fromCharCode(code);
+            });
+        },
+
+        /**
+         * Elements that never have content or an end tag.
+         */
+        voidElements: ["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "param", "source", "track", "wbr"],
+
+        /**
+         * Elements whose content is raw text rather than HTML, so is skipped by tokenizeHtml.
+         */
+        rawTextElements: ["script", "style"],
+
+        /**
+         * Read the attributes from the source of a start tag (the part after the tag name).
+         *
+         * @returns {object} The attribute values, keyed by lower case attribute name. Attributes without a value have an empty string.
+         * @param {string} source The attributes, e.g. ' class="intro" data-readingage-ignore'.
+         */
+        parseHtmlAttributes: function (source) {
+            "use strict";
+            var attributes = {},
+                pattern = /([^\s"'=\/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g,
+                match = pattern.exec(source),
+                value;
+            while (match !== null) {
+                value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4] || "";
+                attributes[match[1].toLowerCase()] = ReadingAge.decodeHtmlEntities(value);
+                match = pattern.exec(source);
+            }
+            return attributes;
+        },
+
+        /**
+         * Split HTML into tokens, without needing a DOM.
+         * Comments, doctypes and the content of script and style elements are dropped, and text has its character references decoded.
+         *
+         * @returns {array} The tokens in order, as objects with a type of "text" (with text), "start" (with tagName, attributes and
+         * selfClosing, which is true for void elements too) or "end" (with tagName). Tag names are lower case.
+         * @param {string} html The HTML to split.
+         */
+        tokenizeHtml: function (html) {
+            "use strict";
+            var tokens = [],
+                pattern = /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-zA-Z][^\s\/>]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|<[!?][^>]*>/g,
+                lastIndex = 0,
+                match,
+                tagName,
+                selfClosing,
+                rawTextEnd,
+                addText = function (end) {
+                    if (end > lastIndex) {
+                        tokens.push({
+                            type: "text",
+                            text: ReadingAge.decodeHtmlEntities(html.substring(lastIndex, end))
+                        });
+                    }
+                };
+            match = pattern.exec(html);
+            while (match !== null) {
+                addText(match.index);
+                lastIndex = pattern.lastIndex;
+                if (match[2] !== undefined) { // Otherwise a comment, doctype or processing instruction
+                    tagName = match[2].toLowerCase();
+                    if (match[1] === "/") {
+                        tokens.push({
+                            type: "end",
+                            tagName: tagName
+                        });
+                    } else {
+                        selfClosing = /\/\s*$/.test(match[3]);
+                        tokens.push({
+                            type: "start",
+                            tagName: tagName,
+                            attributes: ReadingAge.parseHtmlAttributes(match[3]),
+                            selfClosing: selfClosing || ReadingAge.voidElements.indexOf(tagName) !== -1
+                        });
+                        if (!selfClosing && ReadingAge.rawTextElements.indexOf(tagName) !== -1) {
+                            rawTextEnd = html.toLowerCase().indexOf("</" + tagName, lastIndex);
+                            lastIndex = pattern.lastIndex = rawTextEnd === -1 ? html.length : rawTextEnd;
+                        }
+                    }
+                }
+                match = pattern.exec(html);
+            }
+            addText(html.length);
+            return tokens;
+        },
+
+        /**
+         * Remove the tags from HTML, leaving just its text, with character references decoded.
+         */
+        removeHtmlTags: function (text) {
+            "use strict";
+            return ReadingAge.tokenizeHtml(text).filter(function (token) {
+                return token.type === "text";
+            }).map(function (token) {
+                return token.text;
+            }).join("");
+        },
+
+        /**
+         * Block-level HTML elements, keyed by tag name, with the name the report uses for them.
+         * Each block element starts and ends a separate block of text, so it is never run into its neighbours.
+         */
+        blockElements: {
+            p: "Paragraph",
+            h1: "Heading",
+            h2: "Heading",
+            h3: "Heading",
+            h4: "Heading",
+            h5: "Heading",
+            h6: "Heading",
+            li: "List item",
+            dt: "Term",
+            dd: "Definition",
+            td: "Table cell",
+            th: "Table cell",
+            caption: "Table caption",
+            blockquote: "Quote",
+            address: "Address",
+            div: "Block",
+            section: "Block",
+            article: "Block",
+            aside: "Block",
+            header: "Block",
+            footer: "Block",
+            main: "Block",
+            nav: "Block",
+            figure: "Block",
+            details: "Block",
+            summary: "Block",
+            ul: "Block",
+            ol: "Block",
+            dl: "Block",
+            table: "Block",
+            thead: "Block",
+            tbody: "Block",
+            tfoot: "Block",
+            tr: "Block",
+            hr: "Block"
+        },
+
+        /**
+         * CSS selectors for content that isn't prose and is left out of the analysis.
+         * Add site-specific ones here, or per call with the ignoreSelectors option of deepParseText.
+         * Type, class, ID and attribute selectors are supported, and can be combined with the descendant and child combinators.
+         */
+        ignoredSelectors: ["code", "pre", "figcaption", "script", "style", "noscript", "template", "kbd", "samp", "[data-readingage-ignore]"],
+
+        /**
+         * Parse a CSS selector into the steps matchesSelector works through.
+         *
+         * @returns {array} The compound selectors, outermost first, as objects with combinator (" " or ">", how the step relates to
+         * the one before it), tagName, id, classes and attributes; or null if the selector isn't supported.
+         * @param {string} selector The selector, e.g. "table.data > td" or "[data-readingage-ignore]".
+         */
+        parseSelector: function (selector) {
+            "use strict";
+            var steps = [],
+                combinator = " ",
+                parts = selector.trim().replace(/\s*>\s*/g, " > ").split(/\s+/),
+                i,
+                compound,
+                simple,
+                simplePattern,
+                step;
+            for (i = 0; i < parts.length; i += 1) {
+                if (parts[i] === ">") {
+                    combinator = ">";
+                } else {
+                    compound = /^([a-z][a-z0-9\-]*|\*)?((?:[.#][\w\-]+|\[[^\]]+\])*)$/i.exec(parts[i]);
+                    if (compound === null || parts[i].length === 0) {
+                        return null;
+                    }
+                    step = {
+                        combinator: combinator,
+                        tagName: compound[1] && compound[1] !== "*" ? compound[1].toLowerCase() : null,
+                        id: null,
+                        classes: [],
+                        attributes: []
+                    };
+                    simplePattern = /([.#])([\w\-]+)|\[\s*([^\s=\]]+)\s*(?:=\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]*))\s*)?\]/g;
+                    simple = simplePattern.exec(compound[2]);
+                    while (simple !== null) {
+                        if (simple[1] === "#") {
+                            step.id = simple[2];
+                        } else if (simple[1] === ".") {
+                            step.classes.push(simple[2]);
+                        } else if (/[~|\^$*]$/.test(simple[3])) {
+                            return null; // Substring attribute selectors aren't supported
+                        } else {
+                            step.attributes.push({
+                                name: simple[3].toLowerCase(),
+                                value: simple[4] !== undefined ? simple[4] : simple[5] !== undefined ? simple[5] : simple[6]
+                            });
+                        }
+                        simple = simplePattern.exec(compound[2]);
+                    }
+                    steps.push(step);
+                    combinator = " ";
+                }
+            }
+            return steps.length > 0 ? steps : null;
+        },
+
+        /**
+         * Check if an element matches one step of a parsed selector.
+         *
+         * @param {object} step The step, from parseSelector.
+         * @param {object} element The element, as an object with tagName and attributes (e.g. a start token from tokenizeHtml).
+         */
+        matchesSelectorStep: function (step, element) {
+            "use strict";
+            var classes = " " + (element.attributes["class"] || "").replace(/\s+/g, " ") + " ";
+            return (step.tagName === null || step.tagName === element.tagName) &&
+                (step.id === null || element.attributes.id === step.id) &&
+                step.classes.every(function (className) {
+                    return classes.indexOf(" " + className + " ") !== -1;
+                }) &&
+                step.attributes.every(function (attribute) {
+                    return element.attributes.hasOwnProperty(attribute.name) &&
+                        (attribute.value === undefined || element.attributes[attribute.name] === attribute.value);
+                });
+        },
+
+        /**
+         * Check if an element matches a parsed selector.
+         *
+         * @param {array} steps The selector, from parseSelector.
+         * @param {object} element The element, as an object with tagName and attributes.
+         * @param {array} ancestors The element's ancestors, outermost first, in the same form.
+         */
+        matchesSelector: function (steps, element, ancestors) {
+            "use strict";
+            var i = steps.length - 1,
+                j = ancestors.length - 1;
+            if (!ReadingAge.matchesSelectorStep(steps[i], element)) {
+                return false;
+            }
+            for (i -= 1; i >= 0; i -= 1) {
+                if (steps[i + 1].combinator === ">") {
+                    if (j < 0 || !ReadingAge.matchesSelectorStep(steps[i], ancestors[j])) {
+                        return false;
+                    }
+                    j -= 1;
+                } else {
+                    while (j >= 0 && !ReadingAge.matchesSelectorStep(steps[i], ancestors[j])) {
+                        j -= 1;
+                    }
+                    if (j < 0) {
+                        return false;
+                    }
+                    j -= 1;
+                }
+            }
+            return true;
+        },
+
+        /**
+         * Split HTML into its blocks of text (paragraphs, headings, list items, table cells and so on),
+         * leaving out any content matched by ignoredSelectors.
+         * Line breaks (br) are kept as new lines; all other white space is condensed into single spaces.
+         *
+         * @returns {array} The blocks in document order, as objects with tagName, name, number (e.g. 4 for the fourth paragraph) and text.
+         * @param {string} html The HTML to split.
+         * @param {array} [ignoreSelectors] CSS selectors for further content to leave out.
+         */
+        getBlocks: function (html, ignoreSelectors) {
+            "use strict";
+            var selectors = ReadingAge.ignoredSelectors.concat(ignoreSelectors || []).join(",").split(",").map(function (selector) {
+                    return ReadingAge.parseSelector(selector);
+                }).filter(function (steps) {
+                    return steps !== null;
+                }),
+                open = [], // The elements the current token is in, outermost first
+                numIgnored = 0, // How many of those are being left out
+                blocks = [],
+                numbers = {},
+                current = null,
+                flush = function () {
+                    var name;
+                    if (current !== null) {
+                        current.text = ReadingAge.normaliseBlockText(current.text);
+                        if (current.text.length > 0) {
+                            name = current.name;
+                            numbers[name] = (numbers[name] || 0) + 1;
+                            current.number = numbers[name];
+                            blocks.push(current);
+                        }
+                    }
+                    current = null;
+                },
+                getBlockTagName = function () {
+                    var i;
+                    for (i = open.length - 1; i >= 0; i -= 1) {
+                        if (ReadingAge.blockElements.hasOwnProperty(open[i].tagName)) {
+                            return open[i].tagName;
+                        }
+                    }
+                    return "p"; // Text outside any block element counts as a paragraph
+                };
+            ReadingAge.tokenizeHtml(html).forEach(function (token) {
+                var element,
+                    i;
+                if (token.type === "text") {
+                    if (numIgnored === 0) {
+                        if (current === null) {
+                            current = {
+                                tagName: getBlockTagName(),
+                                text: ""
+                            };
+                            current.name = ReadingAge.blockElements[current.tagName] || "Block";
+                        }
+                        current.text += token.text.replace(/\s+/g, " "); // Line breaks in the source are just white space; only br ends a line
+                    }
+                } else if (token.type === "start") {
+                    element = {
+                        tagName: token.tagName,
+                        attributes: token.attributes,
+                        ignored: numIgnored > 0 || selectors.some(function (steps) {
+                            return ReadingAge.matchesSelector(steps, token, open);
+                        })
+                    };
+                    if (!element.ignored) {
+                        if (token.tagName === "br") {
+                            if (current !== null) {
+                                current.text += "\n";
+                            }
+                        } else if (ReadingAge.blockElements.hasOwnProperty(token.tagName)) {
+                            flush();
+                        }
+                    }
+                    if (!token.selfClosing) {
+                        open.push(element);
+                        numIgnored += element.ignored ? 1 : 0;
+                    }
+                } else {
+                    // Close the element and anything left open inside it; an end tag with no start tag is skipped
+                    i = open.length - 1;
+                    while (i >= 0 && open[i].tagName !== token.tagName) {
+                        i -= 1;
+                    }
+                    while (i >= 0 && open.length > i) {
+                        element = open.pop();
+                        if (element.ignored) {
+                            numIgnored -= 1;
+                        } else if (ReadingAge.blockElements.hasOwnProperty(element.tagName)) {
+                            flush();
+                        }
+                    }
+                }
+            });
+            flush();
+            return blocks;
+        },
+
+        /**
+         * Condense the white space in the text of a block into single spaces, keeping line breaks.
+         *
+         * @returns {string}
+         * @param {string} text The text of the block.
+         */
+        normaliseBlockText: function (text) {
+            "use strict";
+            return text.replace(/[^\S\n]+/g, " ").replace(/ ?\n ?/g, "\n").trim();
+        },
+
+        /**
+         * Number blocks of text by their name, as getBlocks does, e.g. 4 for the fourth paragraph.
+         *
+         * @returns {array} The same blocks, each with its number.
+         * @param {array} blocks The blocks in document order, as objects with a name.
+         */
+        numberBlocks: function (blocks) {
+            "use strict";
+            var numbers = {};
+            blocks.forEach(function (block) {
+                numbers[block.name] = (numbers[block.name] || 0) + 1;
+                block.number = numbers[block.name];
+            });
+            return blocks;
+        },
+
+        /**
+         * Reduce a line of Markdown to the text a reader would see: emphasis and link syntax are removed, leaving the words,
+         * code spans and images are left out (as code and img elements are in HTML), and inline HTML is stripped.
+         *
+         * @returns {string}
+         * @param {string} text The Markdown, from within a block.
+         */
+        markdownInlineToText: function (text) {
+            "use strict";
+            var previous;
+            // Keep escaped punctuation, e.g. \*, out of the way of the syntax below as private use characters
+            text = text.replace(/\\([!-\/:-@\[-`{-~])/g, function (match, character) {
+                return String.fromCharCode(0xe000 + character.charCodeAt(0));
+            });
+            text = text.replace(/(`+)[\s\S]*?\1/g, "") // Code spans
+                .replace(/!\[[^\]]*\](?:\([^)]*\)|\[[^\]]*\])/g, "") // Images
+                .replace(/\[([^\]]*)\](?:\([^)]*\)|\[[^\]]*\])/g, "$1") // Links, inline or by reference
+                .replace(/<((?:https?|ftp|mailto):[^\s<>]*|[^\s<>@]+@[^\s<>]+)>/gi, "$1"); // Autolinks
+            // Strong before emphasis, and again until nothing changes for the nested ones.
+            // Underscores only count at the edges of words, so snake_case is left alone
+            do {
+                previous = text;
+                text = text.replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, "$1")
+                    .replace(/\*(?=\S)([\s\S]*?\S)\*/g, "$1")
+                    .replace(ReadingAge.letterRegExp("(^|[^{L}0-9_])__(?=\\S)([\\s\\S]*?\\S)__(?![{L}0-9_])", "g"), "$1$2")
+                    .replace(ReadingAge.letterRegExp("(^|[^{L}0-9_])_(?=\\S)([\\s\\S]*?\\S)_(?![{L}0-9_])", "g"), "$1$2")
+                    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, "$1");
+            } while (text !== previous);
+            // Inline HTML and character references go the same way as in HTML, and then the escaped characters come back
+            return ReadingAge.removeHtmlTags(text).replace(/[\ue000-\ue07f]/g, function (character) {
+                return String.fromCharCode(character.charCodeAt(0) - 0xe000);
+            });
+        },
+
+        /**
+         * Split Markdown into its blocks of text (paragraphs, headings, list items, quotes and table cells),
+         * named as getBlocks names the HTML they would become, except that paragraphs in quotes are named as quotes, as the editor's are.
+         * Code blocks, rules and link reference definitions are left out; blocks of HTML are split by getBlocks.
+         * Lines ending in two spaces or a backslash are kept as new lines; other lines run on, as they do when the Markdown is rendered.
+         *
+         * @returns {array} The blocks in document order, as objects with tagName, name, number (e.g. 4 for the fourth paragraph) and text.
+         * @param {string} markdown The Markdown to split.
+         * @param {array} [ignoreSelectors] CSS selectors for further content to leave out of any HTML in it.
+         */
+        getMarkdownBlocks: function (markdown, ignoreSelectors) {
+            "use strict";
+            var split = function (lines) {
+                var blocks = [],
+                    current = null, // The paragraph, heading or list item being read, with its lines
+                    inList = false, // Whether indented lines carry on a list item, rather than being code
+                    i = 0,
+                    line,
+                    match,
+                    closingFence,
+                    quoted,
+                    html,
+                    add = function (tagName, text) {
+                        text = ReadingAge.normaliseBlockText(ReadingAge.markdownInlineToText(text));
+                        if (text.length > 0) {
+                            blocks.push({ tagName: tagName, name: ReadingAge.blockElements[tagName], text: text });
+                        }
+                    },
+                    flush = function () {
+                        if (current !== null) {
+                            add(current.tagName, current.lines.map(function (line, j) {
+                                if (j === current.lines.length - 1) {
+                                    return line;
+                                }
+                                return /( {2,}|\\)$/.test(line) ? line.replace(/( {2,}|\\)$/, "\n") : line + " ";
+                            }).join(""));
+                        }
+                        current = null;
+                    },
+                    getCells = function (line) {
+                        return line.trim().replace(/^\|/, "").replace(/\|$/, "").split("|");
+                    };
+                while (i < lines.length) {
+                    line = lines[i];
+                    i += 1;
+                    if (/^\s*$/.test(line)) {
+                        flush();
+                    } else if ((match = /^ {0,3}(`{3,}|~{3,})/.exec(line)) !== null) { // A fenced code block, to the closing fence
+                        flush();
+                        closingFence = new RegExp("^ {0,3}" + (match[1].charAt(0) === "`" ? "`" : "~") + "{" + match[1].length + ",}\\s*$");
+                        while (i < lines.length && !closingFence.test(lines[i])) {
+                            i += 1;
+                        }
+                        i += 1;
+                        inList = false;
+                    } else if ((match = /^ {0,3}(#{1,6})(?:[ \t]+(.*))?$/.exec(line)) !== null) { // An ATX heading, e.g. "## Title ##"
+                        flush();
+                        add("h" + match[1].length, (match[2] || "").replace(/(^|[ \t]+)#+[ \t]*$/, ""));
+                        inList = false;
+                    } else if (current !== null && current.tagName === "p" && (match = /^ {0,3}(=+|-+)[ \t]*$/.exec(line)) !== null) { // A setext heading's underline
+                        current.tagName = match[1].charAt(0) === "=" ? "h1" : "h2";
+                        flush();
+                    } else if (/^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/.test(line)) { // A rule
+                        flush();
+                        inList = false;
+                    } else if ((match = /^[ \t]*(?:[-*+]|\d{1,9}[.)])[ \t]+(.*)$/.exec(line)) !== null) { // A list item, without any task list box
+                        flush();
+                        current = { tagName: "li", lines: [match[1].replace(/^\[[ xX]\][ \t]+/, "")] };
+                        inList = true;
+                    } else if (/^ {0,3}>/.test(line)) { // A quote, split like the rest once its markers are taken off, with its paragraphs named as quotes
+                        flush();
+                        quoted = [];
+                        i -= 1;
+                        while (i < lines.length && /^ {0,3}>/.test(lines[i])) {
+                            quoted.push(lines[i].replace(/^ {0,3}> ?/, ""));
+                            i += 1;
+                        }
+                        blocks = blocks.concat(split(quoted).map(function (block) {
+                            if (block.tagName === "p") {
+                                block.tagName = "blockquote";
+                                block.name = ReadingAge.blockElements.blockquote;
+                            }
+                            return block;
+                        }));
+                        inList = false;
+                    } else if (line.indexOf("|") !== -1 && i < lines.length && /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/.test(lines[i]) && lines[i].indexOf("|") !== -1) {
+                        // A table, from its header row to the first line without a cell in it
+                        flush();
+                        getCells(line).forEach(function (cell) {
+                            add("th", cell);
+                        });
+                        i += 1;
+                        while (i < lines.length && lines[i].indexOf("|") !== -1) {
+                            getCells(lines[i]).forEach(function (cell) {
+                                add("td", cell);
+                            });
+                            i += 1;
+                        }
+                        inList = false;
+                    } else if (current === null && ((match = /^ {0,3}<\/?([a-zA-Z][a-zA-Z0-9]*)/.exec(line)) !== null && ReadingAge.blockElements.hasOwnProperty(match[1].toLowerCase()) || /^ {0,3}<!--/.test(line))) {
+                        // A block of HTML, to the next blank line
+                        html = [line];
+                        while (i < lines.length && !/^\s*$/.test(lines[i])) {
+                            html.push(lines[i]);
+                            i += 1;
+                        }
+                        blocks = blocks.concat(ReadingAge.getBlocks(html.join("\n"), ignoreSelectors));
+                        inList = false;
+                    } else if (current === null && /^ {0,3}\[[^\]]+\]:/.test(line)) {
+                        // A link reference definition
+                    } else if (current === null && !inList && /^( {4}|\t)/.test(line)) {
+                        // An indented code block
+                    } else if (current !== null) {
+                        current.lines.push(line.replace(/^\s+/, ""));
+                    } else {
+                        current = { tagName: "p", lines: [line.replace(/^\s+/, "")] };
+                        inList = inList && /^\s/.test(line);
+                    }
+                }
+                flush();
+                return blocks;
+            };
+            return ReadingAge.numberBlocks(split(markdown.replace(/\r\n?/g, "\n").split("\n")));
+        },
+
+        /**
+         * Split plain text into its blocks of text. Blank lines separate paragraphs, lines starting with a bullet or a number
+         * (e.g. "- ", "* " or "1. ") are list items, and a line underlined with "===" or "---" is a heading.
+         * Lines within a paragraph are kept as new lines, as a text area's line breaks usually are when shown;
+         * indented lines carry on a list item.
+         *
+         * @returns {array} The blocks in document order, as objects with tagName, name, number (e.g. 4 for the fourth paragraph) and text.
+         * @param {string} text The text to split.
+         */
+        getPlainTextBlocks: function (text) {
+            "use strict";
+            var blocks = [],
+                current = null, // The paragraph or list item being read, with its lines
+                flush = function () {
+                    var blockText;
+                    if (current !== null) {
+                        blockText = ReadingAge.normaliseBlockText(current.lines.join(current.tagName === "li" ? " " : "\n"));
+                        if (blockText.length > 0) {
+                            blocks.push({ tagName: current.tagName, name: ReadingAge.blockElements[current.tagName], text: blockText });
+                        }
+                    }
+                    current = null;
+                };
+            text.replace(/\r\n?/g, "\n").split("\n").forEach(function (line) {
+                var match;
+                if (/^\s*$/.test(line)) {
+                    flush();
+                } else if (current !== null && current.tagName === "p" && current.lines.length === 1 && (match = /^\s*(={3,}|-{3,})\s*$/.exec(line)) !== null) {
+                    current.tagName = match[1].charAt(0) === "=" ? "h1" : "h2";
+                    flush();
+                } else if (/^\s*([-=*_~#])(?:\s*\1){2,}\s*$/.test(line)) { // A rule between sections
+                    flush();
+                } else if ((match = /^\s*(?:[-*+\u2022\u2023\u2043\u25e6]|\d{1,9}[.)])\s+(.*)$/.exec(line)) !== null) {
+                    flush();
+                    current = { tagName: "li", lines: [match[1]] };
+                } else if (current !== null && (current.tagName === "p" || /^\s/.test(line))) {
+                    current.lines.push(line);
+                } else {
+                    flush();
+                    current = { tagName: "p", lines: [line] };
+                }
+            });
+            flush();
+            return ReadingAge.numberBlocks(blocks);
+        },
+
+        /**
+         * The formats deepParseText can read, keyed by name, each with a name for people and
+         * a getBlocks function splitting text in that format into blocks, as getBlocks does for HTML.
+         */
+        inputFormats: {
+            html: {
+                name: "HTML",
+                getBlocks: function (text, options) {
+                    "use strict";
+                    return ReadingAge.getBlocks(text, options && options.ignoreSelectors);
+                }
+            },
+            markdown: {
+                name: "Markdown",
+                getBlocks: function (text, options) {
+                    "use strict";
+                    return ReadingAge.getMarkdownBlocks(text, options && options.ignoreSelectors);
+                }
+            },
+            text: {
+                name: "Plain text",
+                getBlocks: function (text) {
+                    "use strict";
+                    return ReadingAge.getPlainTextBlocks(text);
+                }
+            }
+        },
+
+        /**
+         * The input format deepParseText assumes when it isn't told one.
+         */
+        defaultInputFormat: "html",
+
+        /**
+         * Get an input format by name.
+         *
+         * @returns {object} The format from inputFormats.
+         * @param {string} [format] The name of the format, e.g. "markdown". Defaults to defaultInputFormat.
+         */
+        getInputFormat: function (format) {
+            "use strict";
+            var name = format || ReadingAge.defaultInputFormat;
+            if (!ReadingAge.inputFormats.hasOwnProperty(name)) {
+                throw new RangeError("Unknown input format: " + format);
+            }
+            return ReadingAge.inputFormats[name];
+        },
+
+        /**
+         * Typical speeds, in words per minute, for reading silently and for reading aloud,
+         * used for the estimated readingTime and speakingTime.
+         */
+        readingWordsPerMinute: 238,
+        speakingWordsPerMinute: 150,
+
+        /**
+         * The most words in a sentence for each band of the sentence length distribution, shortest first.
+         * Sentences longer than the last band are counted in a band of their own.
+         */
+        sentenceLengthBands: [10, 20, 30, 40],
+
+        /**
+         * How many of the most repeated words getRepeatedWords lists.
+         */
+        numRepeatedWords: 10,
+
+        stopwordCache: {},
+
+        /**
+         * Find the words used most often in a passage, leaving out the stopwords of its language
+         * and anything without letters, such as numbers.
+         *
+         * @returns {array} Objects with the lowercase word and its count, most used first, for words used more than once.
+         * @param {array} aryOfWords An array of strings, each containing a single word.
+         * @param {string} [language] The language of the words. Defaults to defaultLanguage.
+         */
+        getRepeatedWords: function (aryOfWords, language) {
+            "use strict";
+            var code = ReadingAge.getLanguageCode(language),
+                stopwords = ReadingAge.stopwordCache[code],
+                hasLetter = ReadingAge.letterRegExp("[{L}]");
+            if (stopwords === undefined) {
+                stopwords = {};
+                (ReadingAge.languages[code].stopwords || []).forEach(function (word) {
+                    stopwords[word] = true;
+                });
+                ReadingAge.stopwordCache[code] = stopwords;
+            }
+            return ReadingAge.getWordCounts(aryOfWords.filter(function (word) {
+                return hasLetter.test(word) && !stopwords.hasOwnProperty(word.toLowerCase().replace(/\u2019/g, "'"));
+            })).filter(function (item) {
+                return item.count > 1;
+            }).slice(0, ReadingAge.numRepeatedWords);
+        },
+
+        /**
+         * Count the sentences in each band of sentenceLengthBands.
+         *
+         * @returns {array} Objects with the min and max words of each band (max is undefined for the last) and its count of sentences.
+         * @param {array} aryOfLengths The number of words in each sentence.
+         */
+        getSentenceLengthDistribution: function (aryOfLengths) {
+            "use strict";
+            var bands = ReadingAge.sentenceLengthBands.map(function (max, i) {
+                return { min: i === 0 ? 1 : ReadingAge.sentenceLengthBands[i - 1] + 1, max: max, count: 0 };
+            });
+            bands.push({ min: ReadingAge.sentenceLengthBands[ReadingAge.sentenceLengthBands.length - 1] + 1, max: undefined, count: 0 });
+            aryOfLengths.forEach(function (length) {
+                var i = 0;
+                while (i < bands.length - 1 && length > bands[i].max) {
+                    i += 1;
+                }
+                bands[i].count += 1;
+            });
+            return bands;
+        },
+
+        /**
+         * Describe a band of the sentence length distribution for reports, e.g. "11\u201320 words" or "41+ words".
+         *
+         * @returns {string}
+         * @param {object} band A band from getSentenceLengthDistribution.
+         */
+        getSentenceLengthLabel: function (band) {
+            "use strict";
+            return band.min + (band.max === undefined ? "+" : "\u2013" + band.max) + " words";
+        },
+
+        /**
+         * Below this standard deviation of sentence lengths, in words, the report warns that the sentences are monotonous,
+         * as long as there are at least minSentencesForMonotony of them.
+         */
+        monotonousSentenceLengthDeviation: 4,
+        minSentencesForMonotony: 5,
+
+        /**
+         * Check whether the sentences of a parseText result are all much the same length.
+         *
+         * @returns {boolean}
+         * @param {object} parsedResults The result of parseText or deepParseText.
+         */
+        isMonotonous: function (parsedResults) {
+            "use strict";
+            return parsedResults.numSentences >= ReadingAge.minSentencesForMonotony &&
+                parsedResults.sentenceLengthDeviation < ReadingAge.monotonousSentenceLengthDeviation;
+        },
+
+        /**
+         * Parse a passage of text, generating a set of metrics.
+         *
+         * @see https://en.wikipedia.org/wiki/Readability
+         * @see https://en.wikipedia.org/wiki/Flesch%E2%80%93Kincaid_readability_tests
+         * @see https://en.wikipedia.org/wiki/Gunning_fog_index
+         * @see https://en.wikipedia.org/wiki/SMOG
+         * @see https://en.wikipedia.org/wiki/Coleman%E2%80%93Liau_index
+         * @see https://en.wikipedia.org/wiki/Automated_readability_index
+         * @see https://en.wikipedia.org/wiki/Dale%E2%80%93Chall_readability_formula
+         * @see https://en.wikipedia.org/wiki/Linsear_Write
+         *
+         * @returns {object}
+         * @param {string} text The passage of text to parse.
+         * @param {object} [options] Parsing options.
+         * @param {string} [options.language] The language of the text, e.g. "en" or "de-CH". Defaults to defaultLanguage.
+         * @param {object} [options.glossary] Glossary entries for this text, in the same form as glossary (see normaliseGlossary), on top of the site's.
+         */
+        parseText: function (text, options) {
+            "use strict";
+            var result = {},
+                profile,
+                excluded; // The positions of glossary words that aren't complex
+            options = options || {};
+            // Source
+            result.source = text;
+            // Language
+            result.language = ReadingAge.getLanguageCode(options.language);
+            profile = ReadingAge.languages[result.language];
+            // Sentences
+            result.sentences = ReadingAge.getSentences(text);
+            result.numSentences = result.sentences.length;
+            // Words
+            result.words = ReadingAge.getWords(text);
+            result.numWords = result.words.length;
+            result.sentenceLengths = result.numSentences === 1 ? [result.numWords] : result.sentences.map(function (sentence) {
+                return ReadingAge.getWords(sentence).length;
+            });
+            // Syllables
+            result.syllables = ReadingAge.getNumSyllablesPerWord(result.words, result.language);
+            // Glossary words, which have a fixed syllable count or aren't complex at all
+            result.glossaryWords = [];
+            result.words.forEach(function (word, i) {
+                var entry = ReadingAge.getGlossaryEntry(word, options.glossary);
+                if (typeof entry === "number") {
+                    result.syllables[i] = entry;
+                    result.glossaryWords.push({ word: word, position: i, syllables: entry });
+                } else if (entry === true) {
+                    result.glossaryWords.push({ word: word, position: i, excluded: true });
+                }
+            });
+            excluded = result.glossaryWords.filter(function (item) {
+                return item.excluded;
+            }).map(function (item) {
+                return item.position;
+            });
+            result.numSyllables = ReadingAge.arrayAdd(result.syllables);
+            // Letters
+            result.letters = ReadingAge.getNumLettersPerWord(result.words);
+            result.numLetters = ReadingAge.arrayAdd(result.letters);
+            // Complex Words
+            result.complexWordPositions = ReadingAge.getComplexWordPositions(result.syllables).filter(function (position) {
+                return excluded.indexOf(position) === -1;
+            });
+            result.numComplexWords = result.complexWordPositions.length;
+            result.complexWords = ReadingAge.getComplexWords(result.words, result.complexWordPositions);
+            // Difficult Words (not on the Dale-Chall list)
+            if (profile.isFamiliarWord !== undefined) {
+                result.difficultWordPositions = ReadingAge.getDifficultWordPositions(result.words, profile.isFamiliarWord).filter(function (position) {
+                    return excluded.indexOf(position) === -1;
+                });
+                result.numDifficultWords = result.difficultWordPositions.length;
+                result.difficultWords = ReadingAge.getComplexWords(result.words, result.difficultWordPositions);
+            }
+            // Plain-language alternatives
+            result.substitutions = ReadingAge.getSubstitutions(text, result.language);
+            return ReadingAge.calculateScores(result);
+        },
+
+        /**
+         * Work out the averages, ratios and formula values of a parseText result from its counts.
+         *
+         * @returns {object} The result, with the scores added.
+         * @param {object} result The result of parseText or mergeParsedResults, so far.
+         */
+        calculateScores: function (result) {
+            "use strict";
+            // Ratios
+            if (result.numDifficultWords !== undefined) {
+                result.difficultWordRatio = result.numDifficultWords / result.numWords;
+            }
+            // Time to read, and to read aloud, in seconds
+            result.readingTime = result.numWords * 60 / ReadingAge.readingWordsPerMinute;
+            result.speakingTime = result.numWords * 60 / ReadingAge.speakingWordsPerMinute;
+            // Lexical diversity (type-token ratio) and the most repeated words
+            result.typeTokenRatio = ReadingAge.getWordCounts(result.words).length / result.numWords;
+            result.repeatedWords = ReadingAge.getRepeatedWords(result.words, result.language);
+            // Sentence lengths, and how much they vary: the lower the standard deviation, the more monotonous the rhythm
+            result.sentenceLengthDistribution = ReadingAge.getSentenceLengthDistribution(result.sentenceLengths);
+            result.sentenceLengthDeviation = Math.sqrt(result.sentenceLengths.reduce(function (total, length) {
+                return total + Math.pow(length - result.numWords / result.numSentences, 2);
+            }, 0) / result.numSentences);
+            // Averages
+            result.averageWordsPerSentence = result.numWords / result.numSentences;
+            result.averageSyllablesPerWord = result.numSyllables / result.numWords;
+            result.averageLettersPerWord = result.numLetters / result.numWords;
+            result.complexWordRatio = result.numComplexWords / result.numWords;
+            result.complexWordsPerSentence = result.numComplexWords / result.numSentences;
+            // Reading Complexity Metrics
+            ReadingAge.languages[result.language].formulas.forEach(function (name) {
+                result[name] = ReadingAge.formulas[name](result);
+            });
+            return result;
+        },
+
+        /**
+         * Combine the parseText results of consecutive passages into the result parseText gives for
+         * the passages joined with line breaks, without parsing them again.
+         *
+         * @returns {object}
+         * @param {array} results The parseText results, in order. They must all be in the same language.
+         * @param {object} [options] Parsing options, as for parseText, for when there are no results.
+         */
+        mergeParsedResults: function (results, options) {
+            "use strict";
+            var result = {
+                source: results.map(function (subResult) {
+                    return subResult.source;
+                }).join("\n"),
+                language: results.length > 0 ? results[0].language : ReadingAge.getLanguageCode(options && options.language),
+                sentences: [],
+                sentenceLengths: [],
+                words: [],
+                syllables: [],
+                letters: [],
+                complexWordPositions: [],
+                complexWords: [],
+                glossaryWords: [],
+                substitutions: []
+            },
+                sourceOffset = 0; // Where each passage starts in the joined source
+            if (ReadingAge.languages[result.language].isFamiliarWord !== undefined) {
+                result.difficultWordPositions = [];
+                result.difficultWords = [];
+            }
+            results.forEach(function (subResult) {
+                var offset = result.words.length; // Word positions are shifted along by the words before
+                result.sentences = result.sentences.concat(subResult.sentences);
+                result.sentenceLengths = result.sentenceLengths.concat(subResult.sentenceLengths);
+                result.words = result.words.concat(subResult.words);
+                result.syllables = result.syllables.concat(subResult.syllables);
+                result.letters = result.letters.concat(subResult.letters);
+                result.complexWordPositions = result.complexWordPositions.concat(subResult.complexWordPositions.map(function (position) {
+                    return position + offset;
+                }));
+                result.complexWords = result.complexWords.concat(subResult.complexWords);
+                result.glossaryWords = result.glossaryWords.concat((subResult.glossaryWords || []).map(function (item) {
+                    item = ReadingAge.copyObject(item);
+                    item.position += offset;
+                    return item;
+                }));
+                if (result.difficultWordPositions !== undefined) {
+                    result.difficultWordPositions = result.difficultWordPositions.concat(subResult.difficultWordPositions.map(function (position) {
+                        return position + offset;
+                    }));
+                    result.difficultWords = result.difficultWords.concat(subResult.difficultWords);
+                }
+                result.substitutions = result.substitutions.concat((subResult.substitutions || []).map(function (match) {
+                    match = ReadingAge.copyObject(match);
+                    match.start += sourceOffset;
+                    match.end += sourceOffset;
+                    return match;
+                }));
+                sourceOffset += subResult.source.length + 1;
+            });
+            result.numSentences = result.sentences.length;
+            result.numWords = result.words.length;
+            result.numSyllables = ReadingAge.arrayAdd(result.syllables);
+            result.numLetters = ReadingAge.arrayAdd(result.letters);
+            result.numComplexWords = result.complexWordPositions.length;
+            if (result.difficultWordPositions !== undefined) {
+                result.numDifficultWords = result.difficultWordPositions.length;
+            }
+            return ReadingAge.calculateScores(result);
+        },
+
+        /**
+         * Make a shallow copy of an object, so a cached result can be given properties for one call without changing the cache.
+         */
+        copyObject: function (obj) {
+            "use strict";
+            var copy = {};
+            Object.keys(obj).forEach(function (name) {
+                copy[name] = obj[name];
+            });
+            return copy;
+        },
+
+        /**
+         * Find every match of a regular expression in a passage of text.
+         *
+         * @returns {array} The matches, as objects with start and end offsets and text.
+         * @param {string} text The passage of text to search.
+         * @param {RegExp} pattern The expression to find, with the global flag.
+         */
+        findAll: function (text, pattern) {
+            "use strict";
+            var result = [],
+                match;
+            pattern.lastIndex = 0;
+            match = pattern.exec(text);
+            while (match !== null) {
+                result.push({
+                    start: match.index,
+                    end: match.index + match[0].length,
+                    text: match[0]
+                });
+                match = pattern.exec(text);
+            }
+            return result;
+        },
+
+        /**
+         * The rules checkStyle applies, keyed by rule name. Each has a name for reports, whether it is enabled,
+         * the languages it works for (all of them if there is no list), any settings of its own,
+         * and a check function that takes a sentence (an object with text, language, glossary and words, each with start, end and text)
+         * and the rule, and returns the problems it finds in the sentence as objects with start and end offsets and a message.
+         * Turn a rule off everywhere by setting its enabled property to false, or for one call with the styleRules option of checkStyle.
+         */
+        styleRules: {
+            passiveVoice: {
+                name: "Passive voice",
+                enabled: true,
+                languages: ["en"],
+                irregularParticiples: (
+                    "been begun bound bought brought built caught chosen cut dealt done drawn driven eaten fallen fed felt " +
+                    "flown forgotten found frozen given gone grown heard held hidden hit hurt kept known laid led left lent " +
+                    "let lost made meant met paid put read ridden rung run said seen sent set shaken shown shut sold " +
+                    "spent spoken spread stolen struck sung sworn taken taught thought thrown told torn understood woken won worn written"
+                ).split(" "),
+                check: function (sentence, rule) {
+                    "use strict";
+                    var pattern = new RegExp("\\b(?:am|is|are|was|were|be|been|being)\\s+(?:(?:not|[a-z]+ly)\\s+)?(?:[a-z]+ed|" +
+                        rule.irregularParticiples.join("|") + ")\\b", "gi");
+                    return ReadingAge.findAll(sentence.text, pattern).map(function (match) {
+                        match.message = "Passive voice: \u201c" + match.text + "\u201d. Could you say who does it?";
+                        return match;
+                    });
+                }
+            },
+            adverbs: {
+                name: "Adverbs",
+                enabled: true,
+                languages: ["en"],
+                exceptions: (
+                    "ally anomaly apply assembly belly bully butterfly comply costly curly daily deadly early elderly emily " +
+                    "family fly folly friendly holy homely imply italy jelly july kelly likely lily lively lonely lovely monthly " +
+                    "multiply only orderly rally rely reply sally silly supply ugly unlikely weekly wobbly yearly"
+                ).split(" "),
+                check: function (sentence, rule) {
+                    "use strict";
+                    return ReadingAge.findAll(sentence.text, /\b[a-z]{2,}ly\b/gi).filter(function (match) {
+                        // Skip names such as Italy, other than at the start of the sentence
+                        return rule.exceptions.indexOf(match.text.toLowerCase()) === -1 &&
+                            (match.start === 0 || !ReadingAge.isUpperCase(match.text.charAt(0)));
+                    }).map(function (match) {
+                        match.message = "Adverb: \u201c" + match.text + "\u201d. A stronger verb may not need it.";
+                        return match;
+                    });
+                }
+            },
+            nominalisations: {
+                name: "Nominalisations",
+                enabled: true,
+                languages: ["en"],
+                minimum: 2, // How many a sentence needs before it is too heavy with them
+                exceptions: (
+                    "ambulance apartment audience balance comment conscience department distance element evidence experience " +
+                    "finance government instance licence moment nation parliament pension province question science sentence " +
+                    "silence station television tension vision"
+                ).split(" "),
+                check: function (sentence, rule) {
+                    "use strict";
+                    var matches = ReadingAge.findAll(sentence.text, /\b[a-z]{3,}(?:tion|sion|ment|ance|ence)s?\b/gi).filter(function (match) {
+                        return rule.exceptions.indexOf(match.text.toLowerCase().replace(/s$/, "")) === -1;
+                    });
+                    if (matches.length < rule.minimum) {
+                        return [];
+                    }
+                    return matches.map(function (match) {
+                        match.message = "Nominalisation: \u201c" + match.text + "\u201d. Could it be a verb?";
+                        return match;
+                    });
+                }
+            },
+            longSentences: {
+                name: "Very long sentences",
+                enabled: true,
+                maxWords: 25,
+                check: function (sentence, rule) {
+                    "use strict";
+                    if (sentence.words.length <= rule.maxWords) {
+                        return [];
+                    }
+                    return [{
+                        start: 0,
+                        end: sentence.text.length,
+                        message: "Very long sentence: " + sentence.words.length + " words. Could it be split?"
+                    }];
+                }
+            },
+            complexWordRuns: {
+                name: "Runs of complex words",
+                enabled: true,
+                minimum: 3, // How many complex words in a row make a run
+                check: function (sentence, rule) {
+                    "use strict";
+                    var result = [],
+                        run = [],
+                        endRun = function () {
+                            if (run.length >= rule.minimum) {
+                                result.push({
+                                    start: run[0].start,
+                                    end: run[run.length - 1].end,
+                                    message: run.length + " complex words in a row: \u201c" +
+                                        sentence.text.substring(run[0].start, run[run.length - 1].end) + "\u201d."
+                                });
+                            }
+                            run = [];
+                        };
+                    sentence.words.forEach(function (word) {
+                        var entry = ReadingAge.getGlossaryEntry(word.text, sentence.glossary);
+                        if (entry !== true && (typeof entry === "number" ? entry : ReadingAge.getNumSyllablesInWord(word.text, sentence.language)) >= 3) {
+                            run.push(word);
+                        } else {
+                            endRun();
+                        }
+                    });
+                    endRun();
+                    return result;
+                }
+            }
+        },
+
+        /**
+         * Check a passage of text against the styleRules, to show why it is hard to read.
+         *
+         * @returns {array} The findings in order, as objects with rule (its key in styleRules), name, message,
+         * sentenceIndex (the sentence's position in getSentences), start and end (character offsets in the text) and text.
+         * @param {string} text The passage of text to check.
+         * @param {object} [options] Parsing options, as for parseText.
+         * @param {object} [options.styleRules] Rules to turn on or off for this check, e.g. { adverbs: false }.
+         */
+        checkStyle: function (text, options) {
+            "use strict";
+            var language = ReadingAge.getLanguageCode(options && options.language),
+                overrides = (options && options.styleRules) || {},
+                rules = Object.keys(ReadingAge.styleRules).filter(function (name) {
+                    var rule = ReadingAge.styleRules[name];
+                    return (overrides.hasOwnProperty(name) ? overrides[name] : rule.enabled) &&
+                        (rule.languages === undefined || rule.languages.indexOf(language) !== -1);
+                }),
+                findings = [];
+            ReadingAge.getSentenceRanges(text).forEach(function (range, i) {
+                var sentence = {
+                    text: text.substring(range.start, range.end),
+                    language: language,
+                    glossary: options && options.glossary
+                };
+                sentence.words = ReadingAge.getWordRanges(sentence.text).map(function (word) {
+                    word.text = sentence.text.substring(word.start, word.end);
+                    return word;
+                });
+                rules.forEach(function (name) {
+                    ReadingAge.styleRules[name].check(sentence, ReadingAge.styleRules[name]).forEach(function (problem) {
+                        findings.push({
+                            rule: name,
+                            name: ReadingAge.styleRules[name].name,
+                            message: problem.message,
+                            sentenceIndex: i,
+                            start: range.start + problem.start,
+                            end: range.start + problem.end,
+                            text: sentence.text.substring(problem.start, problem.end)
+                        });
+                    });
+                });
+            });
+            return findings.sort(function (a, b) {
+                return a.start - b.start || rules.indexOf(a.rule) - rules.indexOf(b.rule);
+            });
+        },
+
+        /**
+         * Parse a passage of HTML (or Markdown or plain text), generating a set of metrics.
+         * Each block element (paragraph, heading, list item, table cell...) is parsed separately too,
+         * and its sentences never run on into the next block.
+         * The text is checked against the styleRules too, giving styleFindings.
+         * Additionally, parse each of the constituent sentences
+         * and sort them based on their complexity with most complex first.
+         * This way, complex sentences can be identified and simplified.
+         *
+         * @returns {object}
+         * @param {string} text The passage to parse.
+         * @param {object} [options] Parsing options, as for parseText.
+         * @param {string} [options.format] The name of the format of the text in inputFormats: "html", "markdown" or "text".
+         * Defaults to defaultInputFormat.
+         * @param {array} [options.ignoreSelectors] CSS selectors for content to leave out, in addition to ignoredSelectors.
+         * @param {object} [options.cache] An object to keep the parsed blocks in between calls, so blocks whose text hasn't changed
+         * aren't parsed again. Pass the same object (initially empty) each time the same document is parsed;
+         * blocks no longer in the document are dropped from it, and it starts again if any other options or the dictionaries change.
+         * @param {object} [options.styleRules] Style rules to turn on or off, as for checkStyle.
+         */
+        deepParseText: function (text, options) {
+            "use strict";
+            var blocks = ReadingAge.getInputFormat(options && options.format).getBlocks(text, options),
+                cache = options && options.cache,
+                language = ReadingAge.getLanguageCode(options && options.language),
+                // Anything besides the text that changes how a block is parsed
+                optionsKey = JSON.stringify([language, (options && options.styleRules) || {}, (options && options.glossary) || {}, ReadingAge.dictionaryVersion]),
+                used = {},
+                parsed,
+                result,
+                sourceOffset = 0;
+            if (cache && (cache.optionsKey !== optionsKey || cache.blocks === undefined)) {
+                cache.optionsKey = optionsKey;
+                cache.blocks = {};
+            }
+            // Parse each block, its sentences and its style, or take them from the cache
+            parsed = blocks.map(function (block) {
+                var entry = cache && cache.blocks.hasOwnProperty(block.text) ? cache.blocks[block.text] : undefined;
+                if (entry === undefined) {
+                    entry = {
+                        block: ReadingAge.parseText(block.text, options),
+                        styleFindings: ReadingAge.checkStyle(block.text, options)
+                    };
+                    entry.sentences = entry.block.sentences.map(function (value, i) {
+                        try {
+                            return ReadingAge.parseText(value, options);
+                        } catch (e) {
+                            console.log("Error in ReadingAge.deepParseText loop");
+                            console.log({
+                                e: e,
+                                value: value,
+                                i: i
+                            });
+                            throw e;
+                        }
+                    });
+                }
+                used[block.text] = entry;
+                return entry;
+            });
+            if (cache) {
+                cache.blocks = used; // Dropping the blocks that are no longer there
+            }
+            // The blocks' sentences never run into each other, so the whole text is just the blocks put together
+            result = ReadingAge.mergeParsedResults(parsed.map(function (entry) {
+                return entry.block;
+            }), options);
+            result.styleFindings = [];
+            result.parsedBlocks = [];
+            result.parsedSentences = [];
+            parsed.forEach(function (entry, i) {
+                var parsedBlock,
+                    sentenceOffset = result.parsedSentences.length;
+                entry.styleFindings.forEach(function (finding) {
+                    finding = ReadingAge.copyObject(finding);
+                    finding.sentenceIndex += sentenceOffset;
+                    finding.start += sourceOffset;
+                    finding.end += sourceOffset;
+                    result.styleFindings.push(finding);
+                });
+                sourceOffset += entry.block.source.length + 1;
+                entry.sentences.forEach(function (sentence) {
+                    var parsedSentence = ReadingAge.copyObject(sentence);
+                    parsedSentence.sentenceIndex = result.parsedSentences.length; // Its position in sentences, as parsedSentences gets sorted
+                    result.parsedSentences.push(parsedSentence);
+                });
+                if (entry.block.numWords === 0) { // Nothing to score, e.g. a table cell with only a number in it
+                    return;
+                }
+                parsedBlock = ReadingAge.copyObject(entry.block);
+                parsedBlock.tagName = blocks[i].tagName;
+                parsedBlock.blockName = blocks[i].name;
+                parsedBlock.blockNumber = blocks[i].number;
+                result.parsedBlocks.push(parsedBlock);
+            });
+            // Sort the parsed sentences by fleschKincaidGradeLevel in descending order,
+            // or by the composite grade level for languages that don't use Flesch-Kincaid
+            if (result.fleschKincaidGradeLevel !== undefined) {
+                result.parsedSentences.sort(ReadingAge.sortFleschKincaidGradeLevelDescending);
+            } else {
+                result.parsedSentences.sort(ReadingAge.sortCompositeGradeLevelDescending);
+            }
+            return result;
+        },
+
+        /**
+         * The orders the Most Complex Sentences can be listed in, most complex first, keyed by name.
+         * Each has a label, a score function giving the number to sort a parsed sentence by
+         * and a format function describing that score in the list.
+         */
+        sentenceSorts: {
+            grade: {
+                label: "FKGL",
+                score: function (parsedSentence) {
+                    "use strict";
+                    if (parsedSentence.fleschKincaidGradeLevel !== undefined) {
+                        return parsedSentence.fleschKincaidGradeLevel;
+                    }
+                    return ReadingAge.getCompositeGradeLevel(parsedSentence);
+                },
+                format: function (parsedSentence) {
+                    "use strict";
+                    if (parsedSentence.fleschKincaidGradeLevel !== undefined) {
+                        return "FKGL " + ReadingAge.round(parsedSentence.fleschKincaidGradeLevel, 3);
+                    }
+                    return "Grade " + ReadingAge.round(ReadingAge.getCompositeGradeLevel(parsedSentence), 3);
+                }
+            },
+            smog: {
+                label: "SMOG",
+                score: function (parsedSentence) {
+                    "use strict";
+                    return parsedSentence.smogIndex;
+                },
+                format: function (parsedSentence) {
+                    "use strict";
+                    return "SMOG " + ReadingAge.round(parsedSentence.smogIndex, 3);
+                }
+            },
+            length: {
+                label: "Length",
+                score: function (parsedSentence) {
+                    "use strict";
+                    return parsedSentence.numWords;
+                },
+                format: function (parsedSentence) {
+                    "use strict";
+                    return parsedSentence.numWords + " word" + (parsedSentence.numWords === 1 ? "" : "s");
+                }
+            }
+        },
+
+        /**
+         * The sentenceSorts that apply to a deepParseText result, leaving out any its language has no score for,
+         * e.g. SMOG for German. The grade sort is labelled "Grade" for languages without Flesch-Kincaid.
+         *
+         * @returns {array} Objects with the name and label of each sort.
+         * @param {object} parsedResults The result of deepParseText.
+         */
+        getSentenceSorts: function (parsedResults) {
+            "use strict";
+            var result = [];
+            Object.keys(ReadingAge.sentenceSorts).forEach(function (name) {
+                var label = ReadingAge.sentenceSorts[name].label;
+                if (name === "grade" && parsedResults.fleschKincaidGradeLevel === undefined) {
+                    label = "Grade";
+                } else if (name === "smog" && parsedResults.smogIndex === undefined) {
+                    return;
+                }
+                result.push({ name: name, label: label });
+            });
+            return result;
+        },
+
+        /**
+         * The parsed sentences of a deepParseText result in one of the sentenceSorts orders, most complex first.
+         * Sentences with the same score stay in the order they appear in the text.
+         *
+         * @returns {array} A sorted copy of parsedResults.parsedSentences.
+         * @param {object} parsedResults The result of deepParseText.
+         * @param {string} [sortBy] The name of the sort in sentenceSorts. Defaults to "grade".
+         */
+        sortSentences: function (parsedResults, sortBy) {
+            "use strict";
+            var sort = ReadingAge.sentenceSorts[sortBy || "grade"],
+                scored;
+            if (sort === undefined) {
+                throw new RangeError("Unknown sentence sort: " + sortBy);
+            }
+            scored = parsedResults.parsedSentences.map(function (parsedSentence, i) {
+                var score = sort.score(parsedSentence);
+                return { sentence: parsedSentence, score: isNaN(score) ? -Infinity : score, index: i };
+            });
+            scored.sort(function (a, b) {
+                return (b.score - a.score) || (a.sentence.sentenceIndex - b.sentence.sentenceIndex) || (a.index - b.index);
+            });
+            return scored.map(function (item) {
+                return item.sentence;
+            });
+        },
+
+        /**
+         * The Most Complex Sentences list of toHTML, as an ordered list.
+         * Each item has a data-sentence-index attribute giving the sentence's position in parsedResults.sentences.
+         *
+         * @returns {string}
+         * @param {object} parsedResults The result of deepParseText.
+         * @param {string} [sortBy] The name of the sort in sentenceSorts. Defaults to "grade".
+         * @param {number} [numComplexSentences] How many sentences to list. Defaults to 5.
+         */
+        complexSentencesToHTML: function (parsedResults, sortBy, numComplexSentences) {
+            "use strict";
+            var sort = ReadingAge.sentenceSorts[sortBy || "grade"],
+                result = [];
+            if (numComplexSentences === undefined) {
+                numComplexSentences = 5;
+            }
+            result.push('<ol>');
+            ReadingAge.sortSentences(parsedResults, sortBy).slice(0, numComplexSentences).forEach(function (subResult) {
+                result.push('<li data-sentence-index="' + subResult.sentenceIndex + '">' + sort.format(subResult) + ": " + ReadingAge.escapeHtml(subResult.source) + '</li>');
+            });
+            result.push('</ol>');
+            return result.join('');
+        },
+
+        /**
+         * Draw a small line chart of how a score has changed, e.g. the reading age at each undo point of an editing session,
+         * as an inline SVG image. The first score is drawn as a dashed line across the chart to compare the others with.
+         *
+         * @returns {string}
+         * @param {array} scores The scores, oldest first.
+         * @param {number} [width] The width of the chart in pixels. Defaults to 300.
+         * @param {number} [height] The height of the chart in pixels. Defaults to 60.
+         */
+        historyToSVG: function (scores, width, height) {
+            "use strict";
+            var padding = 4,
+                min = Math.min.apply(Math, scores),
+                max = Math.max.apply(Math, scores),
+                x = function (i) {
+                    return ReadingAge.round(scores.length > 1 ? padding + i * (width - 2 * padding) / (scores.length - 1) : width / 2, 1);
+                },
+                y = function (score) { // Higher scores (harder to read) are higher up
+                    return ReadingAge.round(max === min ? height / 2 : height - padding - (score - min) * (height - 2 * padding) / (max - min), 1);
+                };
+            width = width || 300;
+            height = height || 60;
+            return '<svg class="readingage-history-chart" xmlns="http://www.w3.org/2000/svg" width="' + width + '" height="' + height + '" viewBox="0 0 ' + width + ' ' + height + '">' +
+                '<title>' + ReadingAge.escapeHtml(scores.map(function (score) {
+                    return score.toFixed(1);
+                }).join(', ')) + '</title>' +
+                '<line x1="0" y1="' + y(scores[0]) + '" x2="' + width + '" y2="' + y(scores[0]) + '" stroke="#999" stroke-dasharray="4 4" />' +
+                '<polyline fill="none" stroke="#1e88e5" stroke-width="2" points="' + scores.map(function (score, i) {
+                    return x(i) + ',' + y(score);
+                }).join(' ') + '" />' +
+                '<circle cx="' + x(scores.length - 1) + '" cy="' + y(scores[scores.length - 1]) + '" r="3" fill="#1e88e5" />' +
+                '</svg>';
+        },
+
+        /**
+         * Summarise a deepParseText result in a few lines of HTML, e.g. for a popover about one paragraph,
+         * where the full report would be too much.
+         *
+         * @returns {string}
+         * @param {object} parsedResults The result of deepParseText.
+         * @param {object} [options] Summary options.
+         * @param {string} [options.audience] The name of the profile in audiences to describe grade levels for. Defaults to defaultAudience.
+         * @param {array} [options.formulas] The grade level formulas to average, as for getCompositeGradeLevel.
+         */
+        toSummaryHTML: function (parsedResults, options) {
+            "use strict";
+            var result = [],
+                audience,
+                gradeLevel,
+                hardest;
+            options = options || {};
+            audience = ReadingAge.getAudience(options.audience);
+            gradeLevel = ReadingAge.getCompositeGradeLevel(parsedResults, options.formulas);
+            result.push('<section class="readingage-summary">');
+            if (!parsedResults.numWords || !isFinite(gradeLevel)) {
+                result.push('<p>There is no text to check here.</p>');
+                result.push('</section>');
+                return result.join('');
+            }
+            result.push('<p><strong>' + ReadingAge.escapeHtml(audience.label(gradeLevel)) + '</strong>: ' + ReadingAge.escapeHtml(audience.describe(gradeLevel)) + '.</p>');
+            result.push('<ul>');
+            result.push('<li>' + parsedResults.numWords + ' word' + (parsedResults.numWords === 1 ? '' : 's') +
+                ' in ' + parsedResults.numSentences + ' sentence' + (parsedResults.numSentences === 1 ? '' : 's') + '</li>');
+            if (parsedResults.averageWordsPerSentence !== undefined) {
+                result.push('<li>Average Sentence Length: ' + ReadingAge.round(parsedResults.averageWordsPerSentence, 1) + ' words</li>');
+            }
+            // The hardest sentence is only worth pointing out if there's more than one
+            if (parsedResults.parsedSentences !== undefined && parsedResults.parsedSentences.length > 1) {
+                hardest = ReadingAge.sortSentences(parsedResults)[0];
+                result.push('<li>Hardest Sentence (' + ReadingAge.escapeHtml(audience.label(ReadingAge.sentenceSorts.grade.score(hardest))) + '): ' +
+                    ReadingAge.escapeHtml(ReadingAge.truncate(hardest.source, 100)) + '</li>');
+            }
+            result.push('</ul>');
+            result.push('</section>');
+            return result.join('');
+        },
+
+        /**
+         * Summarise a deepParseText result as HTML sections, for the report.
+         *
+         * @returns {string}
+         * @param {object} parsedResults The result of deepParseText.
+         * @param {number} [numComplexSentences] How many of the most complex sentences to list. Defaults to 5.
+         * @param {object} [options] Report options.
+         * @param {boolean} [options.interactive] Add a form to sort the Most Complex Sentences and change how many are listed.
+         * Nothing in the HTML acts on the form; the page showing the report has to (see the TinyMCE plugin).
+         * @param {string} [options.sortBy] The name of the sort in sentenceSorts to list the sentences in. Defaults to "grade".
+         * @param {array} [options.history] The grade levels since the content was opened, oldest first, ending with the current one,
+         * for a Changes Since Opening section with a chart of them.
+         * @param {string} [options.audience] The name of the profile in audiences to describe grade levels for. Defaults to defaultAudience.
+         */
+        toHTML: function (parsedResults, numComplexSentences, options) {
+            "use strict";
+            var result = [],
+                audience;
+            // Default numComplexSentences to 5
+            if (numComplexSentences === undefined) {
+                numComplexSentences = 5;
+            }
+            options = options || {};
+            audience = ReadingAge.getAudience(options.audience);
+            // Basic Stats
+            result.push('<section>');
+            result.push('<h2>Basic Stats</h2>');
+            result.push('<ul>');
+            if (parsedResults.language !== undefined) {
+                result.push('<li>Language: ' + ReadingAge.languages[parsedResults.language].name + '</li>');
+            }
+            if (parsedResults.numSentences !== undefined) {
+                result.push('<li>Number of Sentences: ' + parsedResults.numSentences + '</li>');
+            }
+            if (parsedResults.numWords !== undefined) {
+                result.push('<li>Number of Words: ' + parsedResults.numWords + '</li>');
+            }
+            if (parsedResults.numComplexWords !== undefined) {
+                result.push('<li>Number of Complex Words: ' + parsedResults.numComplexWords + '</li>');
+            }
+            if (parsedResults.numDifficultWords !== undefined) {
+                result.push('<li>Number of Unfamiliar Words: ' + parsedResults.numDifficultWords + '</li>');
+            }
+            if (parsedResults.numSyllables !== undefined) {
+                result.push('<li>Number of Syllables: ' + parsedResults.numSyllables + '</li>');
+            }
+            if (parsedResults.numLetters !== undefined) {
+                result.push('<li>Number of Letters: ' + parsedResults.numLetters + '</li>');
+            }
+            if (parsedResults.readingTime !== undefined) {
+                result.push('<li>Estimated Reading Time: ' + ReadingAge.formatDuration(parsedResults.readingTime) + '</li>');
+            }
+            if (parsedResults.speakingTime !== undefined) {
+                result.push('<li>Estimated Speaking Time: ' + ReadingAge.formatDuration(parsedResults.speakingTime) + '</li>');
+            }
+            if (parsedResults.typeTokenRatio !== undefined && parsedResults.numWords > 0) {
+                result.push('<li>Lexical Diversity (Type-Token Ratio): ' + ReadingAge.round(parsedResults.typeTokenRatio, 3) + ' (Higher is More Varied)</li>');
+            }
+            result.push('</ul>');
+            result.push('</section>');
+            // Averages
+            result.push('<section>');
+            result.push('<h2>Averages</h2>');
+            result.push('<ul>');
+            if (parsedResults.averageWordsPerSentence !== undefined) {
+                result.push('<li>Average Number of Words per Sentence: ' + ReadingAge.round(parsedResults.averageWordsPerSentence, 3) + '</li>');
+            }
+            if (parsedResults.complexWordsPerSentence !== undefined) {
+                result.push('<li>Average Number of Complex Words per Sentence: ' + ReadingAge.round(parsedResults.complexWordsPerSentence, 3) + '</li>');
+            }
+            if (parsedResults.complexWordRatio !== undefined) {
+                result.push('<li>Percentage of Complex Words: ' + ReadingAge.round(parsedResults.complexWordRatio * 100, 1) + '%</li>');
+            }
+            if (parsedResults.averageSyllablesPerWord !== undefined) {
+                result.push('<li>Average Number of Syllables per Word: ' + ReadingAge.round(parsedResults.averageSyllablesPerWord, 3) + '</li>');
+            }
+            if (parsedResults.averageLettersPerWord !== undefined) {
+                result.push('<li>Average Number of Letters per Word: ' + ReadingAge.round(parsedResults.averageLettersPerWord, 3) + '</li>');
+            }
+            if (parsedResults.difficultWordRatio !== undefined) {
+                result.push('<li>Percentage of Unfamiliar Words: ' + ReadingAge.round(parsedResults.difficultWordRatio * 100, 1) + '%</li>');
+            }
+            result.push('</ul>');
+            result.push('</section>');
+            // Sentence Lengths, to spot monotony
+            if (parsedResults.sentenceLengthDistribution !== undefined && parsedResults.numSentences > 0) {
+                result.push('<section>');
+                result.push('<h2>Sentence Lengths</h2>');
+                result.push('<ul>');
+                parsedResults.sentenceLengthDistribution.forEach(function (band) {
+                    result.push('<li>' + ReadingAge.getSentenceLengthLabel(band) + ': ' + band.count + ' sentence' + (band.count === 1 ? '' : 's') + '</li>');
+                });
+                result.push('<li>Standard Deviation: ' + ReadingAge.round(parsedResults.sentenceLengthDeviation, 1) + ' words (Higher is More Varied)</li>');
+                result.push('</ul>');
+                if (ReadingAge.isMonotonous(parsedResults)) {
+                    result.push('<p>Most sentences are much the same length, which can make the text monotonous. Try mixing short sentences with longer ones.</p>');
+                }
+                result.push('</section>');
+            }
+            // Most Repeated Words, leaving out stopwords
+            if (parsedResults.repeatedWords !== undefined && parsedResults.repeatedWords.length > 0) {
+                result.push('<section>');
+                result.push('<h2>Most Repeated Words</h2>');
+                result.push('<ul>');
+                parsedResults.repeatedWords.forEach(function (item) {
+                    result.push('<li>' + ReadingAge.escapeHtml(item.word) + ' (' + item.count + ' times)</li>');
+                });
+                result.push('</ul>');
+                result.push('</section>');
+            }
+            // Reading Ease Scores
+            result.push('<section>');
+            result.push('<h2>Reading Ease Scores</h2>');
+            result.push('<ul>');
+            if (parsedResults.fleschKincaidReadingEase !== undefined) {
+                result.push('<li>Flesch Kincaid Reading Ease: ' + ReadingAge.round(parsedResults.fleschKincaidReadingEase, 3) + ' (Higher is Better)</li>');
+            }
+            if (parsedResults.fleschKincaidGradeLevel !== undefined) {
+                result.push('<li>');
+                result.push('Flesch Kincaid Grade Level: ' + ReadingAge.round(parsedResults.fleschKincaidGradeLevel, 3) + ' (Lower is Better)');
+                result.push('<ul><li>' + audience.describe(parsedResults.fleschKincaidGradeLevel) + '. (Lower is Better)</li></ul>');
+                result.push('</li>');
+            }
+            if (parsedResults.gunningFogIndex !== undefined) {
+                result.push('<li>');
+                result.push('Gunning Fog Index: ' + ReadingAge.round(parsedResults.gunningFogIndex, 3) + ' (Lower is Better)');
+                result.push('<ul><li>' + audience.describe(parsedResults.gunningFogIndex) + '. (Lower is Better)</li></ul>');
+                result.push('</li>');
+            }
+            if (parsedResults.smogIndex !== undefined) {
+                result.push('<li>');
+                result.push('Simple Measure Of Gobbledygook (SMOG) Index: ' + ReadingAge.round(parsedResults.smogIndex, 3) + ' (Lower is Better)');
+                result.push('<ul><li>' + audience.describe(parsedResults.smogIndex) + '. (Lower is Better)</li></ul>');
+                result.push('</li>');
+            }
+            if (parsedResults.colemanLiauIndex !== undefined) {
+                result.push('<li>');
+                result.push('Coleman-Liau Index: ' + ReadingAge.round(parsedResults.colemanLiauIndex, 3) + ' (Lower is Better)');
+                result.push('<ul><li>' + audience.describe(parsedResults.colemanLiauIndex) + '. (Lower is Better)</li></ul>');
+                result.push('</li>');
+            }
+            if (parsedResults.automatedReadabilityIndex !== undefined) {
+                result.push('<li>');
+                result.push('Automated Readability Index: ' + ReadingAge.round(parsedResults.automatedReadabilityIndex, 3) + ' (Lower is Better)');
+                result.push('<ul><li>' + audience.describe(parsedResults.automatedReadabilityIndex) + '. (Lower is Better)</li></ul>');
+                result.push('</li>');
+            }
+            if (parsedResults.daleChallScore !== undefined) {
+                result.push('<li>');
+                result.push('New Dale-Chall Score: ' + ReadingAge.round(parsedResults.daleChallScore, 3) + ' (Lower is Better)');
+                result.push('<ul><li>' + audience.describe(parsedResults.daleChallGradeLevel) + '. (Lower is Better)</li></ul>');
+                result.push('</li>');
+            }
+            if (parsedResults.linsearWriteGradeLevel !== undefined) {
+                result.push('<li>');
+                result.push('Linsear Write Grade Level: ' + ReadingAge.round(parsedResults.linsearWriteGradeLevel, 3) + ' (Lower is Better)');
+                result.push('<ul><li>' + audience.describe(parsedResults.linsearWriteGradeLevel) + '. (Lower is Better)</li></ul>');
+                result.push('</li>');
+            }
+            if (parsedResults.fleschAmstadReadingEase !== undefined) {
+                result.push('<li>');
+                result.push('Flesch-Amstad Reading Ease: ' + ReadingAge.round(parsedResults.fleschAmstadReadingEase, 3) + ' (Higher is Better)');
+                result.push('<ul><li>' + audience.describe(parsedResults.fleschAmstadGradeLevel) + '. (Lower is Better)</li></ul>');
+                result.push('</li>');
+            }
+            if (parsedResults.wienerSachtextformel !== undefined) {
+                result.push('<li>');
+                result.push('Wiener Sachtextformel: ' + ReadingAge.round(parsedResults.wienerSachtextformel, 3) + ' (Lower is Better)');
+                result.push('<ul><li>' + audience.describe(parsedResults.wienerSachtextformel) + '. (Lower is Better)</li></ul>');
+                result.push('</li>');
+            }
+            if (parsedResults.fernandezHuertaReadingEase !== undefined) {
+                result.push('<li>');
+                result.push('Fern\u00e1ndez-Huerta Reading Ease: ' + ReadingAge.round(parsedResults.fernandezHuertaReadingEase, 3) + ' (Higher is Better)');
+                result.push('<ul><li>' + audience.describe(parsedResults.fernandezHuertaGradeLevel) + '. (Lower is Better)</li></ul>');
+                result.push('</li>');
+            }
+            if (parsedResults.kandelMolesReadingEase !== undefined) {
+                result.push('<li>');
+                result.push('Kandel-Moles Reading Ease: ' + ReadingAge.round(parsedResults.kandelMolesReadingEase, 3) + ' (Higher is Better)');
+                result.push('<ul><li>' + audience.describe(parsedResults.kandelMolesGradeLevel) + '. (Lower is Better)</li></ul>');
+                result.push('</li>');
+            }
+            result.push('</ul>');
+            result.push('</section>');
+            // Changes Since Opening
+            if (options.history !== undefined && options.history.length > 0) {
+                result.push('<section class="readingage-history">');
+                result.push('<h2>Changes Since Opening</h2>');
+                result.push('<ul>');
+                result.push('<li>When Opened: ' + audience.label(options.history[0]) + '</li>');
+                result.push('<li>Now: ' + audience.label(options.history[options.history.length - 1]) +
+                    ' (' + (ReadingAge.describeAudienceChange(audience, options.history[options.history.length - 1], options.history[0]) || 'no change') + ')</li>');
+                result.push('</ul>');
+                if (options.history.length > 1) {
+                    result.push(ReadingAge.historyToSVG(options.history));
+                }
+                result.push('</section>');
+            }
+            // Most Complex Sentences
+            if (parsedResults.parsedSentences !== undefined) {
+                result.push('<section class="readingage-sentences">');
+                result.push('<h2>Most Complex Sentences</h2>');
+                if (options.interactive) {
+                    result.push('<form class="readingage-sentence-controls">');
+                    result.push('<label>Sort by <select name="sortBy">');
+                    ReadingAge.getSentenceSorts(parsedResults).forEach(function (sort) {
+                        result.push('<option value="' + sort.name + '"' + (sort.name === (options.sortBy || "grade") ? ' selected' : '') + '>' + ReadingAge.escapeHtml(sort.label) + '</option>');
+                    });
+                    result.push('</select></label> ');
+                    result.push('<label>Show <input type="number" name="numComplexSentences" min="1" max="' + Math.max(parsedResults.parsedSentences.length, 1) +
+                        '" value="' + Math.max(Math.min(numComplexSentences, parsedResults.parsedSentences.length), 1) + '"></label> of ' + parsedResults.parsedSentences.length);
+                    result.push('</form>');
+                }
+                result.push(ReadingAge.complexSentencesToHTML(parsedResults, options.sortBy, numComplexSentences));
+                result.push('</section>');
+            }
+            // Complex Words, with any plain-language alternatives
+            if (parsedResults.complexWords !== undefined && parsedResults.complexWords.length > 0) {
+                result.push('<section>');
+                result.push('<h2>Complex Words</h2>');
+                result.push('<ul>');
+                ReadingAge.getWordCounts(parsedResults.complexWords).forEach(function (item) {
+                    var suggestion = (ReadingAge.substitutions[parsedResults.language] || {})[item.word];
+                    result.push('<li>' + ReadingAge.escapeHtml(item.word) + (item.count > 1 ? ' (' + item.count + ' times)' : '') +
+                        (suggestion ? ': try \u201c' + ReadingAge.escapeHtml(suggestion) + '\u201d' : '') + '</li>');
+                });
+                result.push('</ul>');
+                result.push('</section>');
+            }
+            if (parsedResults.glossaryWords !== undefined && parsedResults.glossaryWords.length > 0) {
+                result.push('<section>');
+                result.push('<h2>Glossary Words</h2>');
+                result.push('<ul>');
+                ReadingAge.getGlossarySummary(parsedResults).forEach(function (item) {
+                    result.push('<li>' + ReadingAge.escapeHtml(item.word) + (item.count > 1 ? ' (' + item.count + ' times)' : '') + ': ' +
+                        (item.excluded ? 'not counted as complex' : 'counted as ' + item.syllables + ' syllable' + (item.syllables === 1 ? '' : 's')) + '</li>');
+                });
+                result.push('</ul>');
+                result.push('</section>');
+            }
+            if (parsedResults.substitutions !== undefined && parsedResults.substitutions.length > 0) {
+                result.push('<section>');
+                result.push('<h2>Plain-Language Suggestions</h2>');
+                result.push('<ul>');
+                ReadingAge.getSubstitutionSummary(parsedResults).forEach(function (item) {
+                    result.push('<li>\u201c' + ReadingAge.escapeHtml(item.phrase) + '\u201d ' + (item.count > 1 ? '(' + item.count + ' times) ' : '') +
+                        'could be \u201c' + ReadingAge.escapeHtml(item.suggestion) + '\u201d</li>');
+                });
+                result.push('</ul>');
+                result.push('</section>');
+            }
+            // Style
+            if (parsedResults.styleFindings !== undefined && parsedResults.styleFindings.length > 0) {
+                result.push('<section>');
+                result.push('<h2>Style</h2>');
+                result.push('<ul>');
+                parsedResults.styleFindings.forEach(function (finding) {
+                    result.push('<li>Sentence ' + (finding.sentenceIndex + 1) + ': ' + ReadingAge.escapeHtml(finding.message) + '</li>');
+                });
+                result.push('</ul>');
+                result.push('</section>');
+            }
+            // Block Scores
+            if (parsedResults.parsedBlocks !== undefined) {
+                result.push('<section>');
+                result.push('<h2>Block Scores</h2>');
+                result.push('<ul>');
+                parsedResults.parsedBlocks.forEach(function (subResult) {
+                    result.push('<li>' + subResult.blockName + ' ' + subResult.blockNumber + ' (' +
+                        audience.label(ReadingAge.getCompositeGradeLevel(subResult)) + '): ' +
+                        ReadingAge.escapeHtml(ReadingAge.truncate(subResult.source, 80)) + '</li>');
+                });
+                result.push('</ul>');
+                result.push('</section>');
+            }
+            return result.join("");
+        },
+
+        /**
+         * Get the numeric metrics from a parseText result: the counts, averages, ratios and formula values.
+         *
+         * @returns {object} The metrics, keyed by property name.
+         * @param {object} parsedResults The result of parseText or deepParseText.
+         */
+        getMetrics: function (parsedResults) {
+            "use strict";
+            var metrics = {};
+            Object.keys(parsedResults).forEach(function (name) {
+                if (typeof parsedResults[name] === "number" && name !== "sentenceIndex" && name !== "blockNumber") {
+                    metrics[name] = parsedResults[name];
+                }
+            });
+            return metrics;
+        },
+
+        /**
+         * Get the parsed sentences of a deepParseText result in the order they appear in the text.
+         *
+         * @returns {array}
+         * @param {object} parsedResults The result of deepParseText.
+         */
+        getSentencesInOrder: function (parsedResults) {
+            "use strict";
+            return (parsedResults.parsedSentences || []).slice().sort(function (a, b) {
+                return a.sentenceIndex - b.sentenceIndex;
+            });
+        },
+
+        /**
+         * Serialize a deepParseText result as JSON, e.g. for saving alongside an audit.
+         * Metrics that couldn't be calculated (e.g. for empty text) are null.
+         *
+         * @returns {string} An object with language, gradeLevel (the composite grade level), metrics, repeatedWords, sentenceLengthDistribution,
+         * complexWords, difficultWords, glossaryWords, substitutions (plain-language alternatives), styleFindings, blocks and sentences (in the order they appear in the text), each with their own gradeLevel and metrics.
+         * @param {object} parsedResults The result of deepParseText.
+         * @param {number|string} [space] Indentation, as for JSON.stringify. Defaults to 2.
+         */
+        toJSON: function (parsedResults, space) {
+            "use strict";
+            var report = {
+                language: parsedResults.language,
+                gradeLevel: ReadingAge.getCompositeGradeLevel(parsedResults),
+                metrics: ReadingAge.getMetrics(parsedResults),
+                repeatedWords: parsedResults.repeatedWords,
+                sentenceLengthDistribution: parsedResults.sentenceLengthDistribution,
+                complexWords: parsedResults.complexWords,
+                difficultWords: parsedResults.difficultWords,
+                glossaryWords: parsedResults.glossaryWords,
+                substitutions: parsedResults.substitutions,
+                styleFindings: parsedResults.styleFindings,
+                blocks: (parsedResults.parsedBlocks || []).map(function (subResult) {
+                    return {
+                        tagName: subResult.tagName,
+                        name: subResult.blockName,
+                        number: subResult.blockNumber,
+                        text: subResult.source,
+                        gradeLevel: ReadingAge.getCompositeGradeLevel(subResult),
+                        metrics: ReadingAge.getMetrics(subResult)
+                    };
+                }),
+                sentences: ReadingAge.getSentencesInOrder(parsedResults).map(function (subResult) {
+                    return {
+                        index: subResult.sentenceIndex,
+                        text: subResult.source,
+                        gradeLevel: ReadingAge.getCompositeGradeLevel(subResult),
+                        metrics: ReadingAge.getMetrics(subResult)
+                    };
+                })
+            };
+            return JSON.stringify(report, null, space === undefined ? 2 : space);
+        },
+
+        /**
+         * Serialize the sentences of a deepParseText result as CSV, one row per sentence in the order they appear in the text,
+         * with its counts, composite grade level and the value of each of the language's formulas.
+         *
+         * @returns {string}
+         * @param {object} parsedResults The result of deepParseText.
+         */
+        toCSV: function (parsedResults) {
+            "use strict";
+            var formulas = ReadingAge.languages[ReadingAge.getLanguageCode(parsedResults.language)].formulas,
+                hasDifficultWords = parsedResults.numDifficultWords !== undefined,
+                header = ["Sentence", "Text", "Words", "Syllables", "Complex words"],
+                rows = [];
+            if (hasDifficultWords) {
+                header.push("Unfamiliar words");
+            }
+            header.push("Grade level");
+            rows.push(header.concat(formulas));
+            ReadingAge.getSentencesInOrder(parsedResults).forEach(function (subResult) {
+                var row = [subResult.sentenceIndex + 1, subResult.source, subResult.numWords, subResult.numSyllables, subResult.numComplexWords];
+                if (hasDifficultWords) {
+                    row.push(subResult.numDifficultWords);
+                }
+                row.push(ReadingAge.getCompositeGradeLevel(subResult));
+                formulas.forEach(function (name) {
+                    row.push(subResult[name]);
+                });
+                rows.push(row);
+            });
+            return rows.map(function (row) {
+                return row.map(ReadingAge.toCSVField).join(",");
+            }).join("\r\n") + "\r\n";
+        },
+
+        /**
+         * Summarise a deepParseText result in Markdown, with the same sections as toHTML.
+         *
+         * @returns {string}
+         * @param {object} parsedResults The result of deepParseText.
+         * @param {number} [numComplexSentences] How many of the most complex sentences to list. Defaults to 5.
+         * @param {object} [options] Report options.
+         * @param {string} [options.audience] The name of the profile in audiences to describe grade levels for. Defaults to defaultAudience.
+         * @param {string} [options.sortBy] The name of the sort in sentenceSorts to list the sentences in. Defaults to "grade".
+         */
+        toMarkdown: function (parsedResults, numComplexSentences, options) {
+            "use strict";
+            var result = [],
+                audience = ReadingAge.getAudience(options && options.audience),
+                sortBy = options && options.sortBy,
+                gradeLevel = ReadingAge.getCompositeGradeLevel(parsedResults),
+                formulas = ReadingAge.languages[ReadingAge.getLanguageCode(parsedResults.language)].formulas,
+                addItem = function (label, value, decimalPlaces, suffix) {
+                    if (value !== undefined) {
+                        result.push("- " + label + ": " + (decimalPlaces === undefined ? value : ReadingAge.round(value, decimalPlaces)) + (suffix || ""));
+                    }
+                };
+            if (numComplexSentences === undefined) {
+                numComplexSentences = 5;
+            }
+            result.push("# Reading Age Report", "");
+            // Basic Stats
+            result.push("## Basic Stats", "");
+            if (parsedResults.language !== undefined) {
+                addItem("Language", ReadingAge.languages[parsedResults.language].name);
+            }
+            addItem("Number of Sentences", parsedResults.numSentences);
+            addItem("Number of Words", parsedResults.numWords);
+            addItem("Number of Complex Words", parsedResults.numComplexWords);
+            addItem("Number of Unfamiliar Words", parsedResults.numDifficultWords);
+            addItem("Number of Syllables", parsedResults.numSyllables);
+            addItem("Number of Letters", parsedResults.numLetters);
+            if (parsedResults.readingTime !== undefined) {
+                addItem("Estimated Reading Time", ReadingAge.formatDuration(parsedResults.readingTime));
+            }
+            if (parsedResults.speakingTime !== undefined) {
+                addItem("Estimated Speaking Time", ReadingAge.formatDuration(parsedResults.speakingTime));
+            }
+            if (parsedResults.numWords > 0) {
+                addItem("Lexical Diversity (Type-Token Ratio)", parsedResults.typeTokenRatio, 3);
+            }
+            result.push("");
+            // Averages
+            result.push("## Averages", "");
+            addItem("Average Number of Words per Sentence", parsedResults.averageWordsPerSentence, 3);
+            addItem("Average Number of Complex Words per Sentence", parsedResults.complexWordsPerSentence, 3);
+            if (parsedResults.complexWordRatio !== undefined) {
+                addItem("Percentage of Complex Words", parsedResults.complexWordRatio * 100, 1, "%");
+            }
+            addItem("Average Number of Syllables per Word", parsedResults.averageSyllablesPerWord, 3);
+            addItem("Average Number of Letters per Word", parsedResults.averageLettersPerWord, 3);
+            if (parsedResults.difficultWordRatio !== undefined) {
+                addItem("Percentage of Unfamiliar Words", parsedResults.difficultWordRatio * 100, 1, "%");
+            }
+            result.push("");
+            // Sentence Lengths
+            if (parsedResults.sentenceLengthDistribution !== undefined && parsedResults.numSentences > 0) {
+                result.push("## Sentence Lengths", "");
+                parsedResults.sentenceLengthDistribution.forEach(function (band) {
+                    addItem(ReadingAge.getSentenceLengthLabel(band), band.count, undefined, " sentence" + (band.count === 1 ? "" : "s"));
+                });
+                addItem("Standard Deviation", parsedResults.sentenceLengthDeviation, 1, " words");
+                if (ReadingAge.isMonotonous(parsedResults)) {
+                    result.push("", "Most sentences are much the same length, which can make the text monotonous. Try mixing short sentences with longer ones.");
+                }
+                result.push("");
+            }
+            // Most Repeated Words
+            if (parsedResults.repeatedWords !== undefined && parsedResults.repeatedWords.length > 0) {
+                result.push("## Most Repeated Words", "");
+                parsedResults.repeatedWords.forEach(function (item) {
+                    result.push("- " + ReadingAge.escapeMarkdown(item.word) + " (" + item.count + " times)");
+                });
+                result.push("");
+            }
+            // Scores
+            result.push("## Scores", "");
+            result.push("| Formula | Score |", "| --- | ---: |");
+            result.push("| Reading age (composite grade level) | " + ReadingAge.round(gradeLevel, 1) + " |");
+            formulas.forEach(function (name) {
+                var label = ReadingAge.gradeLevelFormulas[name] || ReadingAge.scoreFormulas[name] || name;
+                result.push("| " + ReadingAge.escapeMarkdown(label) + " | " + ReadingAge.round(parsedResults[name], 3) + " |");
+            });
+            result.push("");
+            if (isFinite(gradeLevel)) {
+                result.push("**" + audience.label(gradeLevel) + "**: " + audience.describe(gradeLevel) + ".", "");
+            }
+            // Most Complex Sentences
+            if (parsedResults.parsedSentences !== undefined) {
+                result.push("## Most Complex Sentences", "");
+                ReadingAge.sortSentences(parsedResults, sortBy).slice(0, numComplexSentences).forEach(function (subResult, i) {
+                    result.push((i + 1) + ". **" + ReadingAge.sentenceSorts[sortBy || "grade"].format(subResult) + "**: " + ReadingAge.escapeMarkdown(subResult.source));
+                });
+                result.push("");
+            }
+            // Complex Words, with any plain-language alternatives
+            if (parsedResults.complexWords !== undefined && parsedResults.complexWords.length > 0) {
+                result.push("## Complex Words", "");
+                ReadingAge.getWordCounts(parsedResults.complexWords).forEach(function (item) {
+                    var suggestion = (ReadingAge.substitutions[parsedResults.language] || {})[item.word];
+                    result.push("- " + ReadingAge.escapeMarkdown(item.word) + (item.count > 1 ? " (" + item.count + " times)" : "") +
+                        (suggestion ? ": try \u201c" + ReadingAge.escapeMarkdown(suggestion) + "\u201d" : ""));
+                });
+                result.push("");
+            }
+            if (parsedResults.glossaryWords !== undefined && parsedResults.glossaryWords.length > 0) {
+                result.push("## Glossary Words", "");
+                ReadingAge.getGlossarySummary(parsedResults).forEach(function (item) {
+                    result.push("- " + ReadingAge.escapeMarkdown(item.word) + (item.count > 1 ? " (" + item.count + " times)" : "") + ": " +
+                        (item.excluded ? "not counted as complex" : "counted as " + item.syllables + " syllable" + (item.syllables === 1 ? "" : "s")));
+                });
+                result.push("");
+            }
+            if (parsedResults.substitutions !== undefined && parsedResults.substitutions.length > 0) {
+                result.push("## Plain-Language Suggestions", "");
+                ReadingAge.getSubstitutionSummary(parsedResults).forEach(function (item) {
+                    result.push("- \u201c" + ReadingAge.escapeMarkdown(item.phrase) + "\u201d " + (item.count > 1 ? "(" + item.count + " times) " : "") +
+                        "could be \u201c" + ReadingAge.escapeMarkdown(item.suggestion) + "\u201d");
+                });
+                result.push("");
+            }
+            // Style
+            if (parsedResults.styleFindings !== undefined && parsedResults.styleFindings.length > 0) {
+                result.push("## Style", "");
+                parsedResults.styleFindings.forEach(function (finding) {
+                    result.push("- Sentence " + (finding.sentenceIndex + 1) + ": " + ReadingAge.escapeMarkdown(finding.message));
+                });
+                result.push("");
+            }
+            // Block Scores
+            if (parsedResults.parsedBlocks !== undefined) {
+                result.push("## Block Scores", "");
+                result.push("| Block | " + audience.name + " | Text |", "| --- | ---: | --- |");
+                parsedResults.parsedBlocks.forEach(function (subResult) {
+                    result.push("| " + subResult.blockName + " " + subResult.blockNumber + " | " +
+                        audience.label(ReadingAge.getCompositeGradeLevel(subResult)) + " | " +
+                        ReadingAge.escapeMarkdown(ReadingAge.truncate(subResult.source, 80)) + " |");
+                });
+                result.push("");
+            }
+            return result.join("\n");
+        },
+
+        /**
+         * The New Dale-Chall (1995) list of words familiar to most American fourth-grade readers.
+         * Use isFamiliarWord rather than searching this directly.
+         *
+         * @see https://github.com/words/dale-chall
+         */
+        daleChallFamiliarWords: (
+            "a able aboard about above absent accept accident account ache aching acorn acre across act acts add " +
+            "address admire adventure afar afraid after afternoon afterward afterwards again against age aged ago " +
+            "agree ah ahead aid aim air airfield airplane airport airship airy alarm alike alive all alley " +
+            "alligator allow almost alone along aloud already also always am america american among amount an and " +
+            "angel anger angry animal another answer ant any anybody anyhow anyone anything anyway anywhere apart " +
+            "apartment ape apiece appear apple april apron are aren't arise arithmetic arm armful army arose " +
+            "around arrange arrive arrived arrow art artist as ash ashes aside ask asleep at ate attack attend " +
+            "attention august aunt author auto automobile autumn avenue awake awaken away awful awfully awhile ax " +
+            "axe " +
+            "baa babe babies back background backward backwards bacon bad badge badly bag bake baker bakery " +
+            "baking ball balloon banana band bandage bang banjo bank banker bar barber bare barefoot barely bark " +
+            "barn barrel base baseball basement basket bat batch bath bathe bathing bathroom bathtub battle " +
+            "battleship bay be beach bead beam bean bear beard beast beat beating beautiful beautify beauty " +
+            "became because become becoming bed bedbug bedroom bedspread bedtime bee beech beef beefsteak beehive " +
+            "been beer beet before beg began beggar begged begin beginning begun behave behind being believe bell " +
+            "belong below belt bench bend beneath bent berries berry beside besides best bet better between bib " +
+            "bible bicycle bid big bigger bill billboard bin bind bird birth birthday biscuit bit bite biting " +
+            "bitter black blackberry blackbird blackboard blackness blacksmith blame blank blanket blast blaze " +
+            "bleed bless blessing blew blind blindfold blinds block blood bloom blossom blot blow blue blueberry " +
+            "bluebird blush board boast boat bob bobwhite bodies body boil boiler bold bone bonnet boo book " +
+            "bookcase bookkeeper boom boot born borrow boss both bother bottle bottom bought bounce bow bow-wow " +
+            "bowl box boxcar boxer boxes boy boyhood bracelet brain brake bran branch brass brave bread break " +
+            "breakfast breast breath breathe breeze brick bride bridge bright brightness bring broad broadcast " +
+            "broke broken brook broom brother brought brown brush bubble bucket buckle bud buffalo bug buggy " +
+            "build building built bulb bull bullet bum bumblebee bump bun bunch bundle bunny burn burst bury bus " +
+            "bush bushel business busy but butcher butt butter buttercup butterfly buttermilk butterscotch button " +
+            "buttonhole buy buzz by bye " +
+            "cab cabbage cabin cabinet cackle cage cake calendar calf call caller calling came camel camp " +
+            "campfire can can't canal canary candle candlestick candy cane cannon cannot canoe canyon cap cape " +
+            "capital captain car card cardboard care careful careless carelessness carload carpenter carpet " +
+            "carriage carrot carry cart carve case cash cashier castle cat catbird catch catcher caterpillar " +
+            "catfish catsup cattle caught cause cave ceiling cell cellar cent center cereal certain certainly " +
+            "chain chair chalk champion chance change chap charge charm chart chase chatter cheap cheat check " +
+            "checkers cheek cheer cheese cherry chest chew chick chicken chief child childhood children chill " +
+            "chilly chimney chin china chip chipmunk chocolate choice choose chop chorus chose chosen christen " +
+            "christmas church churn cigarette circle circus citizen city clang clap class classmate classroom " +
+            "claw clay clean cleaner clear clerk clever click cliff climb clip cloak clock close closet cloth " +
+            "clothes clothing cloud cloudy clover clown club cluck clump coach coal coast coat cob cobbler cocoa " +
+            "coconut cocoon cod codfish coffee coffeepot coin cold collar college color colored colt column comb " +
+            "come comfort comic coming company compare conductor cone connect coo cook cooked cookie cookies " +
+            "cooking cool cooler coop copper copy cord cork corn corner correct cost cot cottage cotton couch " +
+            "cough could couldn't count counter country county course court cousin cover cow coward cowardly " +
+            "cowboy cozy crab crack cracker cradle cramps cranberry crank cranky crash crawl crazy cream creamy " +
+            "creek creep crept cried cries croak crook crooked crop cross cross-eyed crossing crow crowd crowded " +
+            "crown cruel crumb crumble crush crust cry cub cuff cup cupboard cupful cure curl curly curtain curve " +
+            "cushion custard customer cut cute cutting " +
+            "dab dad daddy daily dairy daisy dam damage dame damp dance dancer dancing dandy danger dangerous " +
+            "dare dark darkness darling darn dart dash date daughter dawn day daybreak daytime dead deaf deal " +
+            "dear death december decide deck deed deep deer defeat defend defense delight den dentist depend " +
+            "deposit describe desert deserve desire desk destroy devil dew diamond did didn't die died dies " +
+            "difference different dig dim dime dine ding-dong dinner dip direct direction dirt dirty discover " +
+            "dish dislike dismiss ditch dive diver divide do dock doctor does doesn't dog doll dollar dolly don't " +
+            "done donkey door doorbell doorknob doorstep dope dot double dough dove down downstairs downtown " +
+            "dozen drag drain drank draw drawer drawing dream dress dresser dressmaker drew dried drift drill " +
+            "drink drip drive driven driver drop drove drown drowsy drub drum drunk dry duck due dug dull dumb " +
+            "dump during dust dusty duty dwarf dwell dwelt dying " +
+            "each eager eagle ear early earn earth east eastern easy eat eaten edge egg eh eight eighteen eighth " +
+            "eighty either elbow elder eldest electric electricity elephant eleven elf elm else elsewhere empty " +
+            "end ending enemy engine engineer english enjoy enough enter envelope equal erase eraser errand " +
+            "escape eve even evening ever every everybody everyday everyone everything everywhere evil exact " +
+            "except exchange excited exciting excuse exit expect explain extra eye eyebrow " +
+            "fable face facing fact factory fail faint fair fairy faith fake fall false family fan fancy far " +
+            "far-off faraway fare farm farmer farming farther fashion fast fasten fat father fault favor favorite " +
+            "fear feast feather february fed feed feel feet fell fellow felt fence fever few fib fiddle field " +
+            "fife fifteen fifth fifty fig fight figure file fill film finally find fine finger finish fire " +
+            "firearm firecracker fireplace fireworks firing first fish fisherman fist fit fits five fix flag " +
+            "flake flame flap flash flashlight flat flea flesh flew flies flight flip flip-flop float flock flood " +
+            "floor flop flour flow flower flowery flutter fly foam fog foggy fold folks follow following fond " +
+            "food fool foolish foot football footprint for forehead forest forget forgive forgot forgotten fork " +
+            "form fort forth fortune forty forward fought found fountain four fourteen fourth fox frame free " +
+            "freedom freeze freight french fresh fret friday fried friend friendly friendship frighten frog from " +
+            "front frost frown froze fruit fry fudge fuel full fully fun funny fur furniture further fuzzy " +
+            "gain gallon gallop game gang garage garbage garden gas gasoline gate gather gave gay gear geese " +
+            "general gentle gentleman gentlemen geography get getting giant gift gingerbread girl give given " +
+            "giving glad gladly glance glass glasses gleam glide glory glove glow glue go goal goat gobble god " +
+            "godmother goes going gold golden goldfish golf gone good good-by good-bye good-looking goodbye " +
+            "goodness goods goody goose gooseberry got govern government gown grab gracious grade grain grand " +
+            "grandchild grandchildren granddaughter grandfather grandma grandmother grandpa grandson grandstand " +
+            "grape grapefruit grapes grass grasshopper grateful grave gravel graveyard gravy gray graze grease " +
+            "great green greet grew grind groan grocery ground group grove grow guard guess guest guide gulf gum " +
+            "gun gunpowder guy " +
+            "ha habit had hadn't hail hair haircut hairpin half hall halt ham hammer hand handful handkerchief " +
+            "handle handwriting hang happen happily happiness happy harbor hard hardly hardship hardware hare " +
+            "hark harm harness harp harvest has hasn't haste hasten hasty hat hatch hatchet hate haul have " +
+            "haven't having hawk hay hayfield haystack he he'd he'll he's head headache heal health healthy heap " +
+            "hear heard hearing heart heat heater heaven heavy heel height held hell hello helmet help helper " +
+            "helpful hem hen henhouse her herd here here's hero hers herself hey hickory hid hidden hide high " +
+            "highway hill hillside hilltop hilly him himself hind hint hip hire his hiss history hit hitch hive " +
+            "ho hoe hog hold holder hole holiday hollow holy home homely homesick honest honey honeybee honeymoon " +
+            "honk honor hood hoof hook hoop hop hope hopeful hopeless horn horse horseback horseshoe hose " +
+            "hospital host hot hotel hound hour house housetop housewife housework how however howl hug huge hum " +
+            "humble hump hundred hung hunger hungry hunk hunt hunter hurrah hurried hurry hurt husband hush hut " +
+            "hymn " +
+            "i i'd i'll i'm i've ice icy idea ideal if ill important impossible improve in inch inches income " +
+            "indeed indian indoors ink inn insect inside instant instead insult intend interested interesting " +
+            "into invite iron is island isn't it it's its itself ivory ivy " +
+            "jacket jacks jail jam january jar jaw jay jelly jellyfish jerk jig job jockey join joke joking jolly " +
+            "journey joy joyful joyous judge jug juice juicy july jump june junior junk just " +
+            "keen keep kept kettle key kick kid kill killed kind kindly kindness king kingdom kiss kitchen kite " +
+            "kitten kitty knee kneel knew knife knit knives knob knock knot know known " +
+            "lace lad ladder ladies lady laid lake lamb lame lamp land lane language lantern lap lard large lash " +
+            "lass last late laugh laundry law lawn lawyer lay lazy lead leader leaf leak lean leap learn learned " +
+            "least leather leave leaving led left leg lemon lemonade lend length less lesson let let's letter " +
+            "letting lettuce level liberty library lice lick lid lie life lift light lightness lightning like " +
+            "likely liking lily limb lime limp line linen lion lip list listen lit little live lively liver lives " +
+            "living lizard load loaf loan loaves lock locomotive log lone lonely lonesome long look lookout loop " +
+            "loose lord lose loser loss lost lot loud love lovely lover low luck lucky lumber lump lunch lying " +
+            "ma machine machinery mad made magazine magic maid mail mailbox mailman major make making male mama " +
+            "mamma man manager mane manger many map maple marble march mare mark market marriage married marry " +
+            "mask mast master mat match matter mattress may maybe mayor maypole me meadow meal mean means meant " +
+            "measure meat medicine meet meeting melt member men mend meow merry mess message met metal mew mice " +
+            "middle midnight might mighty mile miler milk milkman mill million mind mine miner mint minute mirror " +
+            "mischief miss misspell mistake misty mitt mitten mix moment monday money monkey month moo moon " +
+            "moonlight moose mop more morning morrow moss most mostly mother motor mount mountain mouse mouth " +
+            "move movie movies moving mow mr. mrs. much mud muddy mug mule multiply murder music must my myself " +
+            "nail name nap napkin narrow nasty naughty navy near nearby nearly neat neck necktie need needle " +
+            "needn't negro neighbor neighborhood neither nerve nest net never nevermore new news newspaper next " +
+            "nibble nice nickel night nightgown nine nineteen ninety no nobody nod noise noisy none noon nor " +
+            "north northern nose not note nothing notice november now nowhere number nurse nut " +
+            "o'clock oak oar oatmeal oats obey ocean october odd of off offer office officer often oh oil old " +
+            "old-fashioned on once one onion only onward open or orange orchard order ore organ other otherwise " +
+            "ouch ought our ours ourselves out outdoors outfit outlaw outline outside outward oven over overalls " +
+            "overcoat overeat overhead overhear overnight overturn owe owing owl own owner ox " +
+            "pa pace pack package pad page paid pail pain painful paint painter painting pair pal palace pale pan " +
+            "pancake pane pansy pants papa paper parade pardon parent park part partly partner party pass " +
+            "passenger past paste pasture pat patch path patter pave pavement paw pay payment pea peace peaceful " +
+            "peach peaches peak peanut pear pearl peas peck peek peel peep peg pen pencil penny people pepper " +
+            "peppermint perfume perhaps person pet phone piano pick pickle picnic picture pie piece pig pigeon " +
+            "piggy pile pill pillow pin pine pineapple pink pint pipe pistol pit pitch pitcher pity place plain " +
+            "plan plane plant plate platform platter play player playground playhouse playmate plaything pleasant " +
+            "please pleasure plenty plow plug plum pocket pocketbook poem point poison poke pole police policeman " +
+            "polish polite pond ponies pony pool poor pop popcorn popped porch pork possible post postage postman " +
+            "pot potato potatoes pound pour powder power powerful praise pray prayer prepare present pretty price " +
+            "prick prince princess print prison prize promise proper protect proud prove prune public puddle puff " +
+            "pull pump pumpkin punch punish pup pupil puppy pure purple purse push puss pussy pussycat put " +
+            "putting puzzle " +
+            "quack quart quarter queen queer question quick quickly quiet quilt quit quite " +
+            "rabbit race rack radio radish rag rail railroad railway rain rainbow rainy raise raisin rake ram ran " +
+            "ranch rang rap rapidly rat rate rather rattle raw ray reach read reader reading ready real really " +
+            "reap rear reason rebuild receive recess record red redbird redbreast refuse reindeer rejoice remain " +
+            "remember remind remove rent repair repay repeat report rest return review reward rib ribbon rice " +
+            "rich rid riddle ride rider riding right rim ring rip ripe rise rising river road roadside roar roast " +
+            "rob robber robe robin rock rocket rocky rode roll roller roof room rooster root rope rose rosebud " +
+            "rot rotten rough round route row rowboat royal rub rubbed rubber rubbish rug rule ruler rumble run " +
+            "rung runner running rush rust rusty rye " +
+            "sack sad saddle sadness safe safety said sail sailboat sailor saint salad sale salt same sand " +
+            "sandwich sandy sang sank sap sash sat satin satisfactory saturday sausage savage save savings saw " +
+            "say scab scales scare scarf school schoolboy schoolhouse schoolmaster schoolroom scorch score scrap " +
+            "scrape scratch scream screen screw scrub sea seal seam search season seat second secret see seed " +
+            "seeing seek seem seen seesaw select self selfish sell send sense sent sentence separate september " +
+            "servant serve service set setting settle settlement seven seventeen seventh seventy several sew " +
+            "shade shadow shady shake shaker shaking shall shame shan't shape share sharp shave she she'd she'll " +
+            "she's shear shears shed sheep sheet shelf shell shepherd shine shining shiny ship shirt shock shoe " +
+            "shoemaker shone shook shoot shop shopping shore short shot should shoulder shouldn't shout shovel " +
+            "show shower shut shy sick sickness side sidewalk sideways sigh sight sign silence silent silk sill " +
+            "silly silver simple sin since sing singer single sink sip sir sis sissy sister sit sitting six " +
+            "sixteen sixth sixty size skate skater ski skin skip skirt sky slam slap slate slave sled sleep " +
+            "sleepy sleeve sleigh slept slice slid slide sling slip slipped slipper slippery slit slow slowly sly " +
+            "smack small smart smell smile smoke smooth snail snake snap snapping sneeze snow snowball snowflake " +
+            "snowy snuff snug so soak soap sob socks sod soda sofa soft soil sold soldier sole some somebody " +
+            "somehow someone something sometime sometimes somewhere son song soon sore sorrow sorry sort soul " +
+            "sound soup sour south southern space spade spank sparrow speak speaker spear speech speed spell " +
+            "spelling spend spent spider spike spill spin spinach spirit spit splash spoil spoke spook spoon " +
+            "sport spot spread spring springtime sprinkle square squash squeak squeeze squirrel stable stack " +
+            "stage stair stall stamp stand star stare start starve state states station stay steak steal steam " +
+            "steamboat steamer steel steep steeple steer stem step stepping stick sticky stiff still stillness " +
+            "sting stir stitch stock stocking stole stone stood stool stoop stop stopped stopping store stories " +
+            "stork storm stormy story stove straight strange stranger strap straw strawberry stream street " +
+            "stretch string strip stripes strong stuck study stuff stump stung subject such suck sudden suffer " +
+            "sugar suit sum summer sun sunday sunflower sung sunk sunlight sunny sunrise sunset sunshine supper " +
+            "suppose sure surely surface surprise swallow swam swamp swan swat swear sweat sweater sweep sweet " +
+            "sweetheart sweetness swell swept swift swim swimming swing switch sword swore " +
+            "table tablecloth tablespoon tablet tack tag tail tailor take taken taking tale talk talker tall tame " +
+            "tan tank tap tape tar tardy task taste taught tax tea teach teacher team tear tease teaspoon teeth " +
+            "telephone tell temper ten tennis tent term terrible test than thank thankful thanks thanksgiving " +
+            "that that's the theater thee their them then there these they they'd they'll they're they've thick " +
+            "thief thimble thin thing think third thirsty thirteen thirty this thorn those though thought " +
+            "thousand thread three threw throat throne through throw thrown thumb thunder thursday thy tick " +
+            "ticket tickle tie tiger tight till time tin tinkle tiny tip tiptoe tire tired title to toad " +
+            "toadstool toast tobacco today toe together toilet told tomato tomorrow ton tone tongue tonight too " +
+            "took tool toot tooth toothbrush toothpick top tore torn toss touch tow toward towards towel tower " +
+            "town toy trace track trade train tramp trap tray treasure treat tree trick tricycle tried trim trip " +
+            "trolley trouble truck true truly trunk trust truth try tub tuesday tug tulip tumble tune tunnel " +
+            "turkey turn turtle twelve twenty twice twig twin two " +
+            "ugly umbrella uncle under understand underwear undress unfair unfinished unfold unfriendly unhappy " +
+            "unhurt uniform united unkind unknown unless unpleasant until unwilling up upon upper upset upside " +
+            "upstairs uptown upward us use used useful " +
+            "valentine valley valuable value vase vegetable velvet very vessel victory view village vine violet " +
+            "visit visitor voice vote " +
+            "wag wagon waist wait wake waken walk wall walnut want war warm warn was wash washer washtub wasn't " +
+            "waste watch watchman water watermelon waterproof wave wax way wayside we we'd we'll we're we've weak " +
+            "weaken weakness wealth weapon wear weary weather weave web wedding wednesday wee weed week weep " +
+            "weigh welcome well went were west western wet whale what what's wheat wheel when whenever where " +
+            "which while whip whipped whirl whiskey whisky whisper whistle white who who'd who'll who's whole " +
+            "whom whose why wicked wide wife wiggle wild wildcat will willing willow win wind windmill window " +
+            "windy wine wing wink winner winter wipe wire wise wish wit witch with without woke wolf woman women " +
+            "won won't wonder wonderful wood wooden woodpecker woods wool woolen word wore work worker workman " +
+            "world worm worn worry worse worst worth would wouldn't wound wove wrap wrapped wreck wren wring " +
+            "write writing written wrong wrote wrung " +
+            "yard yarn year yell yellow yes yesterday yet yolk yonder you you'd you'll you're you've young " +
+            "youngster your yours yourself yourselves youth"
+        ).split(" ")
+    };
+
+    return ReadingAge;
+}));
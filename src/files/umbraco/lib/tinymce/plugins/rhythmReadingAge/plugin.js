@@ -1,450 +1,201 @@
-/*  sample usage
+/*
+    The TinyMCE side of ReadingAge. The analysis itself is Rhythm.ReadingAge, from
+    App_Plugins/ReadingAge/reading-age.js, which the build bundles ahead of this file in plugin.min.js.
+ */
 
-    source = jQuery('#input').val();
-    parsed = ReadingAge.deepParseText(source);
-    html = ReadingAge.toHTML(parsed);
-    jQuery("#output").html(html);
+tinymce.PluginManager.add('rhythmReadingAge', function (editor, url) {
 
- */
+    // the language profile to analyse with: the readingage_language setting if there is one,
+    // otherwise the language of the content, otherwise the language of the editor
+    var getLanguage = function () {
+        var body = editor.getBody();
+        return editor.getParam('readingage_language') ||
+            (body && (body.lang || body.ownerDocument.documentElement.lang)) ||
+            editor.settings.language;
+    }
 
-/*global console */
-
-if (typeof Rhythm == 'undefined') Rhythm = {};
-if (typeof Rhythm.ReadingAge == 'undefined') Rhythm.ReadingAge = {
-    /**
-     * Round a number to a given number of decimal places.
-     */
-    round: function (num, decimalPlaces) {
-        "use strict";
-        return Math.round(num * Math.pow(10, decimalPlaces)) / Math.pow(10, decimalPlaces);
-    },
-
-    /**
-     * Simple descending sort against the fleschKincaidGradeLevel on objects.
-     *
-     * @returns {number}
-     * @param {object} a The first object to sort.
-     * @param {object} b The second object to sort.
-     */
-    sortFleschKincaidGradeLevelDescending: function (a, b) {
-        "use strict";
-        return b.fleschKincaidGradeLevel - a.fleschKincaidGradeLevel;
-    },
-
-    /**
-     * Simple descending sort against the SMOG index on objects.
-     *
-     * @returns {number}
-     * @param {object} a The first object to sort.
-     * @param {object} b The second object to sort.
-     */
-    sortSmogIndexDescending: function (a, b) {
-        "use strict";
-        return b.smogIndex - a.smogIndex;
-    },
-
-    /**
-     * Each vowel (a, e, i, o, u, y) in a word counts as one syllable subject to the following sub-rules:
-     * Words of three letters or less count as one syllable
-     * Ignore final -ES, -ED, -E (except for -LE)
-     * Consecutive vowels count as one syllable.
-     *
-     * @returns {number}
-     * @param {string} word The word to scan. Must be exactly one word.
-     */
-    getNumSyllablesInWord: function (word) {
-        "use strict";
-        var matches;
-        if (typeof word !== "string") {
-            throw new TypeError("A string is required.");
-        }
-        if (word.length === 0) { // Catch empty strings.
-            throw "Empty string.";
-        }
-        if (word.search(/\s/g) !== -1) { // If white space characters are found, throw an error
-            throw "Contains whitespace.";
-        }
-        if (word.length <= 3) { // Three letter or less words are always one syllable
-            return 1;
-        }
-        word = word.toLowerCase(); // Convert to lowercase for simplicity
-        if (word.lastIndexOf('le') !== word.length - 2) { // Except for cases ending in "le"
-            word = word.replace(/(es|ed|e)$/, ""); // Remove any final -es, -ed, e
-        }
-        word = word.replace(/[aeiouy]+/g, "a"); // Replace multiple vowels with a single vowel (a)
-        matches = word.match(/[aeiouy]/g); // Get the number of remaining vowels
-        if (matches === null) {
-            return 0;
-        }
-        return matches.length;
-    },
-
-    /**
-     * Trim anything other than A-Z a-z from the front and end of strings.
-     *
-     * @returns {string}
-     * @param {string} str The string to trim.
-     */
-    trimNonLetters: function (str) {
-        "use strict";
-        str = str.replace("\n", " ");
-        str = str.replace(/^[^A-Za-z]+/g, "");
-        str = str.replace(/[^A-Za-z]+$/g, "");
-        return str;
-    },
-
-    /**
-     * Trim anything other than A-Z a-z from the front and end of string entries in an array.
-     *
-     * @returns {string}
-     * @param {string} str The string to trim.
-     */
-    trimNonLettersFromArray: function (ary) {
-        "use strict";
-        ary.forEach(function (i) {
-            if (typeof ary[i] === "string") {
-                ary[i] = Rhythm.ReadingAge.trimNonLetters(ary[i]);
-            }
+    // further content to leave out of the analysis, e.g. readingage_ignore: ".disclaimer, table.data"
+    var ignoreSelectors = editor.getParam('readingage_ignore', []);
+    if (typeof ignoreSelectors === 'string') {
+        ignoreSelectors = [ignoreSelectors];
+    }
+
+    // the style rules to check, e.g. readingage_style_rules: "passiveVoice,longSentences"
+    // (defaults to all of them); the others are turned off
+    var styleRules;
+    if (editor.getParam('readingage_style_rules')) {
+        var enabledStyleRules = editor.getParam('readingage_style_rules');
+        if (typeof enabledStyleRules === 'string') {
+            enabledStyleRules = enabledStyleRules.split(/[\s,]+/);
+        }
+        styleRules = {};
+        tinymce.each(Object.keys(Rhythm.ReadingAge.styleRules), function (name) {
+            styleRules[name] = enabledStyleRules.indexOf(name) !== -1;
         });
-        return ary;
-    },
-
-    /**
-     * For an array of words...
-     * Find the first entry that does not have any alphabetic characters.
-     * Return its index.
-     * Or -1 if none could be found.
-     *
-     * @returns {number}
-     * @param {array} ary An array of strings.
-     */
-    findFirstEmptyWord: function (ary) {
-        "use strict";
-        var i = 0;
-        while (i < ary.length) {
-            if (ary[i].search(/[A-Za-z]/) === -1) {
-                return i;
-            }
-            i += 1;
-        }
-        return -1;
-    },
-
-    /**
-     * For an array of words.
-     * Remove any that don't have any A-Za-z characters.
-     *
-     * @returns {array}
-     * @param {array} ary The array of strings to clean.
-    */
-    removeEmptyWords: function (ary) {
-        "use strict";
-        var position;
-        do {
-            position = Rhythm.ReadingAge.findFirstEmptyWord(ary); // Find the first empty word
-            if (position !== -1) { // If there was one
-                ary.splice(position, 1); // Remove it
-            }
-        } while (position !== -1); // Repeat until none are found
-        return ary;
-    },
-
-    /**
-     * Get an array of the words from a passage of text.
-     *
-     * @returns {array}
-     * @param {string} text The passage of text to parse.
-     */
-    getWords: function (text) {
-        "use strict";
-        var words;
-        if (typeof text !== "string") {
-            throw new TypeError("A string is required.");
-        }
-        if (text.length === 0) {
-            return [];
-        }
-        text = text.replace(/\n+/g, " "); // Convert new lines to spaces
-        text = text.replace(/\s+/g, " "); // Replace all whitespace with traditional spaces, condensing multiples into one.
-        words = text.split(" "); // Split the string at its spaces
-        words = Rhythm.ReadingAge.trimNonLettersFromArray(words); // Remove any leading/trailing non A-z a-z characters
-        words = Rhythm.ReadingAge.removeEmptyWords(words); // Remove any words that don't have any letters in them
-        return words;
-    },
-
-    /**
-     * Return each of the sentences from a passage of text as an array.
-     *
-     * @returns {array}
-     * @param {string} text The passage of text to parse.
-     * @see http://stackoverflow.com/questions/11761563/javascript-regexp-for-splitting-text-into-sentences-and-keeping-the-delimiter
-     */
-    getSentences: function (text) {
-        "use strict";
-        var matches,
-            finalMatch;
-        if (typeof text !== "string") {
-            throw new TypeError("A string is required.");
-        }
-        if (text.length === 0) {
-            return [];
-        }
-        text = text.replace(/\n+/g, " "); // Convert new lines to spaces
-        matches = text.match(/\(?[^\.\?\!]+[\.!\?]\)?/g);
-        finalMatch = text.match(/\(?[^\.\?\!]+$/g); // Catch cases where the string ends without a sentence terminator.
-        if (matches === null) {
-            matches = [];
-        }
-        if (finalMatch !== null) { // If there was a final sentence fragment, catch it.
-            matches.push(finalMatch[0]);
-        }
-        return matches;
-    },
-
-    /**
-     * For an array of words (strings),
-     * return a matching array of their numbers of syllables.
-     *
-     * @returns {array}
-     * @param {array} aryOfWords An array of strings, each containing a single word.
-     */
-    getNumSyllablesPerWord: function (aryOfWords) {
-        "use strict";
-        var result = [];
-        aryOfWords.forEach(function (value) {
-            try {
-                result.push(Rhythm.ReadingAge.getNumSyllablesInWord(value));
-            } catch (e) {
-                console.log("Error in ReadingAge.getNumSyllablesPerWord");
-                console.log(e);
-                console.log({
-                    value: value,
-                    aryOfWords: aryOfWords
+    }
+
+    // the blocks parsed last time, so the ones that haven't changed aren't parsed again. deepParseText starts it again
+    // when Rhythm.ReadingAge's dictionaries change, e.g. once the substitutions below have loaded
+    var parseCache = {};
+
+    // the site's glossary of brand names and jargon (loaded below, once the status bar can be updated with it).
+    // it goes with every analysis, so the worker has it too
+    var glossary = {};
+
+    var getParseOptions = function () {
+        return {
+            language: getLanguage(),
+            ignoreSelectors: ignoreSelectors,
+            styleRules: styleRules,
+            glossary: glossary
+        };
+    }
+
+    var getReadingAgeData = function () {
+        var options = getParseOptions();
+        options.cache = parseCache;
+        return Rhythm.ReadingAge.deepParseText(editor.getContent(), options);
+    }
+
+    // read one of the site's JSON files or settings (named by url). a malformed one is logged and left out, so the defaults are kept
+    var parseSiteFile = function (text, url) {
+        var value;
+        try {
+            value = JSON.parse(text);
+        } catch (e) {
+            value = null;
+        }
+        if (value === null || typeof value !== 'object') {
+            console.warn('ReadingAge: ' + url + ' is not a JSON object, so it has been ignored.');
+            return null;
+        }
+        return value;
+    }
+
+    // the site's plain-language alternatives, added to (or, with a null alternative, removing) the defaults,
+    // e.g. { "en": { "in the region of": "about", "whilst": null } }. the file is optional;
+    // readingage_substitutions changes where it is looked for
+    var substitutionsUrl = editor.getParam('readingage_substitutions', '/App_Plugins/ReadingAge/plain-language.json');
+    if (substitutionsUrl) {
+        tinymce.util.XHR.send({
+            url: substitutionsUrl,
+            success: function (text) {
+                var substitutions = parseSiteFile(text, substitutionsUrl);
+                if (substitutions === null) {
+                    return;
+                }
+                tinymce.each(Object.keys(substitutions), function (language) {
+                    if (Rhythm.ReadingAge.languages.hasOwnProperty(language)) {
+                        Rhythm.ReadingAge.addSubstitutions(substitutions[language], language);
+                    }
                 });
             }
         });
-        return result;
-    },
-
-    /**
-     * For an array of numbers (number of syllables in a word),
-     * return an array of indexes where the value is 3 or higher.
-     *
-     * @example [3, 1, 4, 1, 5, 9] will return [0, 2, 4, 5]
-     *
-     * @returns {array}
-     * @param {array} aryOfNumSyllables An array of numbers - number of syllables in each word.
-     */
-    getComplexWordPositions: function (aryOfNumSyllables) {
-        "use strict";
-        var result = [];
-        aryOfNumSyllables.forEach(function (value, i) {
-            if (value >= 3) {
-                result.push(i);
+    }
+
+    // who the content is written for, which decides how grade levels are shown in the status bar and the report,
+    // e.g. readingage_audience: "ukReadingAge" (see Rhythm.ReadingAge.audiences for the others)
+    var audience = Rhythm.ReadingAge.getAudience(editor.getParam('readingage_audience'));
+
+    // the formats the report can be copied or downloaded in
+    var exportFormats = [
+        { name: 'JSON', extension: 'json', type: 'application/json', serialize: Rhythm.ReadingAge.toJSON },
+        { name: 'CSV', extension: 'csv', type: 'text/csv', serialize: Rhythm.ReadingAge.toCSV, byteOrderMark: true }, // so Excel reads it as UTF-8
+        {
+            name: 'Markdown',
+            extension: 'md',
+            type: 'text/markdown',
+            serialize: function (data) {
+                return Rhythm.ReadingAge.toMarkdown(data, undefined, { audience: editor.getParam('readingage_audience'), sortBy: reportSortBy }); // in the report's order
             }
+        }
+    ];
+
+    var copyText = function (text) {
+        var textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+        try {
+            document.execCommand('copy');
+        } finally {
+            document.body.removeChild(textarea);
+        }
+    }
+
+    var downloadText = function (text, fileName, type) {
+        var blob = new Blob([text], { type: type + ';charset=utf-8' });
+        if (window.navigator.msSaveOrOpenBlob) { // IE and old Edge
+            window.navigator.msSaveOrOpenBlob(blob, fileName);
+            return;
+        }
+        var link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(function () {
+            URL.revokeObjectURL(link.href);
+        }, 0);
+    }
+
+    // a Copy and a Download button for each export format, for the report of the given data
+    var getExportButtons = function (data) {
+        var buttons = [];
+        tinymce.each(exportFormats, function (format) {
+            buttons.push({
+                text: 'Copy ' + format.name,
+                onclick: function () {
+                    copyText(format.serialize(data));
+                }
+            }, {
+                text: 'Download ' + format.name,
+                onclick: function () {
+                    downloadText((format.byteOrderMark ? '\ufeff' : '') + format.serialize(data),
+                        'reading-age-report.' + format.extension, format.type);
+                }
+            });
         });
-        return result;
-    },
-
-    /**
-     * Given an array of words
-     * and an array of indexes within it that have complex words,
-     * return an array of those complex words.
-     *
-     * @returns {array}
-     * @param {array} aryOfWords An array of strings, each containing a single word.
-     * @param {array} aryOfComplexWordPositions An array of indexes of positions that have complex words.
-     */
-    getComplexWords: function (aryOfWords, aryOfComplexWordPositions) {
-        "use strict";
-        var result = [];
-        aryOfComplexWordPositions.forEach(function (value) {
-            result.push(aryOfWords[value]);
+        return buttons;
+    }
+
+    // the order and number of the most complex sentences in the report, which can be changed in the report
+    // and are kept for the next time it's opened, e.g. readingage_report_sentences: 10
+    var reportSortBy = 'grade';
+    var reportNumComplexSentences = parseInt(editor.getParam('readingage_report_sentences', 5), 10) || 5;
+
+    // make the sentence list in the report sortable, with an adjustable length, and clicking a sentence
+    // closes the report and selects that sentence in the editor
+    var bindReport = function (reportWindow, body, data) {
+        var list = body.find('.readingage-sentences');
+        var refreshList = function () {
+            list.find('ol').replaceWith(Rhythm.ReadingAge.complexSentencesToHTML(data, reportSortBy, reportNumComplexSentences));
+        }
+        list.find('select[name="sortBy"]').on('change', function () {
+            reportSortBy = this.value;
+            refreshList();
         });
-        return result;
-    },
-
-    arrayAdd: function (ary) {
-        "use strict";
-        var result = 0;
-        ary.forEach(function (num) {
-            if (typeof num === "number") {
-                result += num;
+        list.find('input[name="numComplexSentences"]').on('change input', function () {
+            var value = parseInt(this.value, 10);
+            if (value > 0) {
+                reportNumComplexSentences = value;
+                refreshList();
             }
         });
-        return result;
-    },
-
-    removeHtmlTags: function(text) {
-        return $("<div>" + text + "</div>").text();
-    },
-
-    /**
-     * Parse a passage of text, generating a set of metrics.
-     *
-     * @see https://en.wikipedia.org/wiki/Readability
-     * @see https://en.wikipedia.org/wiki/Flesch%E2%80%93Kincaid_readability_tests
-     * @see https://en.wikipedia.org/wiki/Gunning_fog_index
-     * @see https://en.wikipedia.org/wiki/SMOG
-     *
-     * @returns {object}
-     * @param {string} text The passage of text to parse.
-     */
-    parseText: function (text) {
-        "use strict";
-        var result = {};
-        // Source
-        result.source = text;
-        // Sentences
-        result.sentences = Rhythm.ReadingAge.getSentences(text);
-        result.numSentences = result.sentences.length;
-        // Words
-        result.words = Rhythm.ReadingAge.getWords(text);
-        result.numWords = result.words.length;
-        // Syllables
-        result.syllables = Rhythm.ReadingAge.getNumSyllablesPerWord(result.words);
-        result.numSyllables = Rhythm.ReadingAge.arrayAdd(result.syllables);
-        // Complex Words
-        result.complexWordPositions = Rhythm.ReadingAge.getComplexWordPositions(result.syllables);
-        result.numComplexWords = result.complexWordPositions.length;
-        result.complexWords = Rhythm.ReadingAge.getComplexWords(result.words, result.complexWordPositions);
-        // Averages
-        result.averageWordsPerSentence = result.numWords / result.numSentences;
-        result.averageSyllablesPerWord = result.numSyllables / result.numWords;
-        result.complexWordRatio = result.numComplexWords / result.numWords;
-        result.complexWordsPerSentence = result.numComplexWords / result.numSentences;
-        // Reading Complexity Metrics
-        result.fleschKincaidReadingEase = 206.835 - 1.015 * result.averageWordsPerSentence - 84.6 * result.averageSyllablesPerWord;
-        result.fleschKincaidGradeLevel = 0.39 * result.averageWordsPerSentence + 11.8 * result.averageSyllablesPerWord - 15.59;
-        result.gunningFogIndex = 0.4 * (result.averageWordsPerSentence + 100 * result.complexWordRatio);
-        result.smogIndex = 1.0430 * Math.sqrt(30 * result.complexWordsPerSentence) + 3.1291;
-        return result;
-    },
-
-    /**
-     * Parse a passage of text, generating a set of metrics.
-     * Additionally, parse each of the constituent sentences
-     * and sort them based on their complexity with most complex first.
-     * This way, complex sentences can be identified and simplified.
-     *
-     * @returns {object}
-     * @param {string} text The passage of text to parse.
-     */
-    deepParseText: function (text) {
-        "use strict";
-        var cleanText = Rhythm.ReadingAge.removeHtmlTags(text);
-        var result = {};
-        result = Rhythm.ReadingAge.parseText(cleanText);
-        result.parsedSentences = [];
-        result.sentences.forEach(function (value, i) {
-            try {
-                result.parsedSentences.push(Rhythm.ReadingAge.parseText(value));
-            } catch (e) {
-                console.log("Error in ReadingAge.deepParseText loop");
-                console.log({
-                    e: e,
-                    value: value,
-                    i: i
-                });
-                throw e;
-            }
+        list.find('form').on('submit', function (e) {
+            e.preventDefault();
+        });
+        list.on('click', 'li[data-sentence-index]', function () {
+            var index = parseInt(this.getAttribute('data-sentence-index'), 10);
+            reportWindow.close();
+            // after the window manager has put the focus back in the editor
+            window.setTimeout(function () {
+                selectSentence(index, data.sentences[index]);
+            }, 0);
         });
-        // Sort the parsed sentences by fleschKincaidGradeLevel in descending order
-        result.parsedSentences.sort(Rhythm.ReadingAge.sortFleschKincaidGradeLevelDescending);
-        return result;
-    },
-
-    toHTML: function (parsedResults, numComplexSentences) {
-        "use strict";
-        var result = [];
-        // Default numComplexSentences to 5
-        if (numComplexSentences === undefined) {
-            numComplexSentences = 5;
-        }
-        // Basic Stats
-        result.push('<section>');
-        result.push('<h2>Basic Stats</h2>');
-        result.push('<ul>');
-        if (parsedResults.numSentences !== undefined) {
-            result.push('<li>Number of Sentences: ' + parsedResults.numSentences + '</li>');
-        }
-        if (parsedResults.numWords !== undefined) {
-            result.push('<li>Number of Words: ' + parsedResults.numWords + '</li>');
-        }
-        if (parsedResults.numComplexWords !== undefined) {
-            result.push('<li>Number of Complex Words: ' + parsedResults.numComplexWords + '</li>');
-        }
-        if (parsedResults.numSyllables !== undefined) {
-            result.push('<li>Number of Syllables: ' + parsedResults.numSyllables + '</li>');
-        }
-        result.push('</ul>');
-        result.push('</section>');
-        // Averages
-        result.push('<section>');
-        result.push('<h2>Averages</h2>');
-        result.push('<ul>');
-        if (parsedResults.averageWordsPerSentence !== undefined) {
-            result.push('<li>Average Number of Words per Sentence: ' + Rhythm.ReadingAge.round(parsedResults.averageWordsPerSentence, 3) + '</li>');
-        }
-        if (parsedResults.complexWordsPerSentence !== undefined) {
-            result.push('<li>Average Number of Complex Words per Sentence: ' + Rhythm.ReadingAge.round(parsedResults.complexWordsPerSentence, 3) + '</li>');
-        }
-        if (parsedResults.complexWordRatio !== undefined) {
-            result.push('<li>Percentage of Complex Words: ' + Rhythm.ReadingAge.round(parsedResults.complexWordRatio * 100, 1) + '%</li>');
-        }
-        if (parsedResults.averageSyllablesPerWord !== undefined) {
-            result.push('<li>Average Number of Syllables per Word: ' + Rhythm.ReadingAge.round(parsedResults.averageSyllablesPerWord, 3) + '</li>');
-        }
-        result.push('</ul>');
-        result.push('</section>');
-        // Reading Ease Scores
-        result.push('<section>');
-        result.push('<h2>Reading Ease Scores</h2>');
-        result.push('<ul>');
-        if (parsedResults.fleschKincaidReadingEase !== undefined) {
-            result.push('<li>Flesch Kincaid Reading Ease: ' + Rhythm.ReadingAge.round(parsedResults.fleschKincaidReadingEase, 3) + ' (Higher is Better)</li>');
-        }
-        if (parsedResults.fleschKincaidGradeLevel !== undefined) {
-            result.push('<li>');
-            result.push('Flesch Kincaid Grade Level: ' + Rhythm.ReadingAge.round(parsedResults.fleschKincaidGradeLevel, 3) + ' (Lower is Better)');
-            result.push('<ul><li>Typically Understandable by a ' + Rhythm.ReadingAge.round(parsedResults.fleschKincaidGradeLevel + 5, 0) + ' Year Old. (Lower is Better)</li></ul>');
-            result.push('</li>');
-        }
-        if (parsedResults.gunningFogIndex !== undefined) {
-            result.push('<li>');
-            result.push('Gunning Fog Index: ' + Rhythm.ReadingAge.round(parsedResults.gunningFogIndex, 3) + ' (Lower is Better)');
-            result.push('<ul><li>Typically Understandable by a ' + Rhythm.ReadingAge.round(parsedResults.gunningFogIndex + 5, 0) + ' Year Old. (Lower is Better)</ul>');
-            result.push('</li>');
-        }
-        if (parsedResults.smogIndex !== undefined) {
-            result.push('<li>');
-            result.push('Simple Measure Of Gobbledygook (SMOG) Index: ' + Rhythm.ReadingAge.round(parsedResults.smogIndex, 3) + ' (Lower is Better)');
-            result.push('<ul><li>Typically Understandable by a ' + Rhythm.ReadingAge.round(parsedResults.smogIndex + 5, 0) + ' Year Old. (Lower is Better)</li></ul>');
-            result.push('</li>');
-        }
-        result.push('</ul>');
-        result.push('</section>');
-        // Most Complex Sentences
-        if (parsedResults.parsedSentences !== undefined) {
-            result.push('<section>');
-            result.push('<h2>Most Complex Sentences</h2>');
-            result.push('<ol>');
-            parsedResults.parsedSentences.every(function (subResult, i) {
-                result.push('<li>FKGL ' + Rhythm.ReadingAge.round(subResult.fleschKincaidGradeLevel, 3) + ": " + subResult.source + '</li>');
-                return i < (numComplexSentences - 1);
-            });
-            result.push('</ol>');
-            result.push('</section>');
-        }
-        return result.join("");
-    }
-};
-
-tinymce.PluginManager.add('rhythmReadingAge', function (editor, url) {
-
-    var getReadingAgeData = function () {
-        var content = editor.getContent();
-        return Rhythm.ReadingAge.deepParseText(content);
     }
 
     // Add a button that opens a window
@@ -452,32 +203,268 @@ tinymce.PluginManager.add('rhythmReadingAge', function (editor, url) {
         title: 'Check reading age',
         image: '/App_Plugins/ReadingAge/reading-glasses.png',
         onclick: function () {
-            var html = Rhythm.ReadingAge.toHTML(getReadingAgeData());
+            var data = getReadingAgeData();
+            if (!Rhythm.ReadingAge.sentenceSorts.hasOwnProperty(reportSortBy) || (reportSortBy === 'smog' && data.smogIndex === undefined)) {
+                reportSortBy = 'grade'; // e.g. the language has changed since the report was last opened
+            }
+            var gradeLevel = Rhythm.ReadingAge.getCompositeGradeLevel(data, compositeFormulas);
+            var html = Rhythm.ReadingAge.toHTML(data, reportNumComplexSentences, {
+                interactive: true,
+                sortBy: reportSortBy,
+                audience: editor.getParam('readingage_audience'),
+                // ending with the reading age now, which may be newer than the status bar's
+                history: scoreHistory.length === 0 ? undefined :
+                    scoreHistory.concat(!isFinite(gradeLevel) || gradeLevel.toFixed(1) === scoreHistory[scoreHistory.length - 1].toFixed(1) ? [] : [gradeLevel])
+            });
             //editor.windowManager.alert(html);
             var reportWindow = editor.windowManager.open({
                 title: "Reading Age Report",
                 url: 'javascript:""',
                 width: 700,
-                height: 700
+                height: 700,
+                buttons: getExportButtons(data)
             });
-            $(reportWindow.getEl()).find('iframe').contents()
+            var body = $(reportWindow.getEl()).find('iframe').contents()
                 .find('head').append('<link rel="stylesheet" type="text/css" href="/App_Plugins/ReadingAge/reading-age-report.css" />').end()
                 .find('body').append(html);
+            bindReport(reportWindow, body, data);
         },
     });
 
     // set up continuous reading age analysis in the status bar
 
-    var getShortReadingAge = function () {
-        var data = getReadingAgeData();
-        var ageResult = (data.fleschKincaidGradeLevel + data.gunningFogIndex + data.smogIndex) / 3;
-        return "Reading age: " + ageResult.toFixed(1);
+    // the grade level formulas averaged into the status bar reading age,
+    // e.g. readingage_formulas: "fleschKincaidGradeLevel,colemanLiauIndex,daleChallGradeLevel"
+    // (defaults to the formulas of the language profile)
+    var compositeFormulas = editor.getParam('readingage_formulas');
+    if (typeof compositeFormulas === 'string') {
+        compositeFormulas = compositeFormulas.split(/[\s,]+/);
+    }
+
+    var getShortReadingAge = function (data) {
+        data = data || getReadingAgeData();
+        var ageResult = Rhythm.ReadingAge.getCompositeGradeLevel(data, compositeFormulas);
+        var change;
+        if (!isFinite(ageResult)) { // e.g. there's no content yet
+            return audience.name + ': \u2013';
+        }
+        change = scoreHistory.length > 0 ? Rhythm.ReadingAge.describeAudienceChange(audience, ageResult, scoreHistory[0]) : '';
+        return audience.label(ageResult) + (change ? ' (' + change + ')' : '');
+    }
+
+    // the reading age when the content was loaded, followed by the reading age at each undo point since,
+    // so authors can see whether their changes are helping. the first result after init, or after the first
+    // setcontent once the editor has loaded, is the baseline
+    var scoreHistory = [];
+    var maxHistory = 100;
+    var baselinePending = true;
+    var undoPending = false;
+
+    var recordHistory = function (gradeLevel) {
+        if (!isFinite(gradeLevel)) { // there's nothing to score, e.g. the content is empty, so the baseline waits for some
+            undoPending = false;
+            return;
+        }
+        if (baselinePending) {
+            scoreHistory = [gradeLevel];
+            baselinePending = false;
+        } else if (undoPending) {
+            scoreHistory.push(gradeLevel);
+            if (scoreHistory.length > maxHistory) {
+                scoreHistory.splice(1, 1); // keeping the baseline
+            }
+        }
+        undoPending = false;
+    }
+
+    // the reading ages since the content was loaded, oldest first, e.g. for a chart of an editing session
+    this.getHistory = function () {
+        return scoreHistory.slice();
+    };
+
+    var firstSetContent = true;
+    editor.on('setcontent', function (e) {
+        // the editor's own initial load and content pasted or inserted at the selection don't count
+        if (firstSetContent && !e.initial && !e.selection) {
+            firstSetContent = false;
+            baselinePending = true;
+        }
+    });
+    editor.on('AddUndo', function () {
+        undoPending = true;
+    });
+
+    // the target the status bar reading age is checked against, in the same units, e.g. readingage_target: 9,
+    // how far over the target is a warning rather than a failure, e.g. readingage_target_margin: 2,
+    // and any maximums for individual formulas, e.g. readingage_max: "smogIndex=12,gunningFogIndex=14"
+    var parseMaximums = function (value) {
+        var maximums = {};
+        if (typeof value === 'string' && value.trim().charAt(0) === '{') {
+            value = parseSiteFile(value, 'readingage_max'); // null, so no maximums, if it's malformed
+        } else if (typeof value === 'string') {
+            value.split(',').forEach(function (pair) {
+                pair = pair.split('=');
+                if (pair.length === 2) {
+                    maximums[pair[0].trim()] = pair[1];
+                }
+            });
+            value = maximums;
+        }
+        maximums = {};
+        tinymce.each(Object.keys(value || {}), function (name) {
+            maximums[name] = parseFloat(value[name]);
+        });
+        return maximums;
+    }
+    var targetOptions = {
+        target: parseFloat(editor.getParam('readingage_target')),
+        margin: editor.getParam('readingage_target_margin') === undefined ? undefined : parseFloat(editor.getParam('readingage_target_margin')),
+        maximums: parseMaximums(editor.getParam('readingage_max')),
+        formulas: compositeFormulas
+    };
+    var hasTarget = isFinite(targetOptions.target) || Object.keys(targetOptions.maximums).length > 0;
+    var statusColors = { pass: '#2e7d32', warn: '#b26a00', fail: '#c62828' };
+    var status = null;
+
+    // the latest result of checking the content against the target, for other back-office code,
+    // e.g. tinymce.activeEditor.plugins.rhythmReadingAge.getStatus().status === 'fail'
+    this.getStatus = function () {
+        return status;
+    };
+
+    var getStatusTooltip = function () {
+        if (status.exceeded.length === 0) {
+            return 'Within the target reading age';
+        }
+        // the composite reading age is shown as the status bar shows it; the maximums for single formulas are in their own grades
+        return 'Over the target: ' + status.exceeded.map(function (threshold) {
+            if (threshold.formula === 'composite') {
+                return audience.label(threshold.value) + ' (maximum ' + audience.label(threshold.limit) + ')';
+            }
+            return threshold.label + ' ' + threshold.value.toFixed(1) + ' (maximum ' + threshold.limit + ')';
+        }).join(', ');
+    }
+
+    function showReadingAge(data) {
+        var label = editor.theme.panel && editor.theme.panel.find('.readingAge')[0];
+        if (!label) { // the status bar isn't there yet, or at all
+            return;
+        }
+        recordHistory(Rhythm.ReadingAge.getCompositeGradeLevel(data, compositeFormulas));
+        label.text(getShortReadingAge(data));
+        if (hasTarget) {
+            status = Rhythm.ReadingAge.checkReadingAge(data, targetOptions);
+            label.getEl().style.color = statusColors[status.status];
+            label.getEl().title = getStatusTooltip();
+            editor.fire('ReadingAgeStatus', status);
+        }
+    }
+
+    // the status bar analysis waits until the content has stopped changing for readingage_delay milliseconds,
+    // and runs in a Web Worker where there is one, unless readingage_worker is false.
+    // the worker has its own copy of Rhythm.ReadingAge, so the page's dictionaries go with each request,
+    // and once a syllable counter is registered (a function, which can't be sent) it's back to the main thread
+    var updateDelay = parseInt(editor.getParam('readingage_delay', 500), 10);
+    var useWorker = editor.getParam('readingage_worker', true) !== false && window.Worker !== undefined;
+    var worker = null;
+    var workerBusy = false;
+    var updatePending = false;
+    var updateTimer;
+
+    // analyse on the main thread from now on
+    var stopWorker = function () {
+        useWorker = false;
+        workerBusy = false;
+        if (worker !== null) {
+            worker.terminate();
+            worker = null;
+        }
+    }
+
+    var getWorker = function () {
+        if (worker === null && useWorker) {
+            try {
+                worker = new Worker('/App_Plugins/ReadingAge/reading-age-worker.js');
+            } catch (e) {
+                useWorker = false;
+                return null;
+            }
+            worker.onmessage = function (e) {
+                workerBusy = false;
+                if (e.data.error) {
+                    stopWorker(); // the analysis failed in the worker's copy, so try the page's own
+                    update();
+                    return;
+                }
+                if (!editor.removed) {
+                    showReadingAge(e.data.result);
+                }
+                if (updatePending) {
+                    update();
+                }
+            };
+            worker.onerror = function () {
+                // e.g. the worker script couldn't be loaded, so analyse on the main thread from now on
+                stopWorker();
+                update();
+            };
+        }
+        return worker;
     }
 
     function update() {
-        editor.theme.panel.find('.readingAge').text(getShortReadingAge());
+        updatePending = false;
+        if (useWorker && Rhythm.ReadingAge.syllableCounters.length > 0) {
+            stopWorker();
+        }
+        if (getWorker() === null) {
+            showReadingAge(getReadingAgeData());
+        } else if (workerBusy) {
+            updatePending = true; // run again once the worker has finished with the content it has
+        } else {
+            workerBusy = true;
+            worker.postMessage({
+                html: editor.getContent(),
+                options: getParseOptions(),
+                customisations: Rhythm.ReadingAge.getCustomisations()
+            });
+        }
+    }
+
+    var scheduleUpdate = function () {
+        window.clearTimeout(updateTimer);
+        updateTimer = window.setTimeout(update, updateDelay);
+    }
+
+    // the glossary lists words with a fixed syllable count, or true to not count them as complex,
+    // e.g. { "Rhythmagency": true, "Umbraco": true, "Salesforce": 2 }. the file is optional;
+    // readingage_glossary changes where it is looked for
+    var glossaryUrl = editor.getParam('readingage_glossary', '/App_Plugins/ReadingAge/glossary.json');
+    if (glossaryUrl) {
+        tinymce.util.XHR.send({
+            url: glossaryUrl,
+            success: function (text) {
+                var entries = parseSiteFile(text, glossaryUrl);
+                if (entries === null) {
+                    return;
+                }
+                glossary = Rhythm.ReadingAge.normaliseGlossary(entries);
+                if (scoreHistory.length < 2) {
+                    baselinePending = true; // the baseline was worked out without it, and there have been no changes to compare yet
+                }
+                scheduleUpdate(); // the status bar was worked out without it
+            }
+        });
     }
 
+    editor.on('remove', function () {
+        window.clearTimeout(updateTimer);
+        if (worker !== null) {
+            worker.terminate();
+            worker = null;
+        }
+    });
+
     editor.on('init', function () {
         var statusbar = editor.theme.panel && editor.theme.panel.find('#statusbar')[0];
 
@@ -486,13 +473,14 @@ tinymce.PluginManager.add('rhythmReadingAge', function (editor, url) {
                 statusbar.insert({
                     type: 'label',
                     name: 'readingAge',
-                    text: [getShortReadingAge()],
+                    text: [audience.name + ': \u2026'],
                     classes: 'readingAge',
                     style: 'padding:8px;float:right;margin-right:15px;',
                     disabled: editor.settings.readonly
                 }, 0);
 
-                editor.on('setcontent beforeaddundo', update);
+                update();
+                editor.on('setcontent beforeaddundo', scheduleUpdate);
 
                 //editor.on('keyup', function (e) {
                 //    if (e.keyCode == 32) {
@@ -503,4 +491,480 @@ tinymce.PluginManager.add('rhythmReadingAge', function (editor, url) {
         }
     });
 
+    // check the reading age before the content is saved or published (App_Plugins/ReadingAge/reading-age-save-guard.js
+    // calls checkSave for each editor when Umbraco saves). above readingage_save_threshold, e.g. readingage_save_threshold: 12,
+    // the author is asked to confirm, with the worst sentences listed. without it nothing is checked, as the target only warns
+    var saveThreshold = parseFloat(editor.getParam('readingage_save_threshold'));
+    var numSaveSentences = 3;
+
+    // ask the author whether to go ahead, calling callback with true or false
+    var confirmSave = function (e, callback) {
+        var decided = false;
+        var decide = function (allowed) {
+            if (!decided) {
+                decided = true;
+                callback(allowed);
+            }
+        }
+        var html = '<p>The content is at ' + audience.label(e.gradeLevel) +
+            ', over the limit' + (isFinite(e.threshold) ? ' of ' + audience.label(e.threshold) : '') +
+            '. The hardest sentences are:</p><ol>' +
+            e.sentences.map(function (sentence) {
+                return '<li>' + Rhythm.ReadingAge.escapeHtml(Rhythm.ReadingAge.truncate(sentence.text, 120)) + ' (' + audience.label(sentence.gradeLevel) + ')</li>';
+            }).join('') + '</ol>' +
+            e.notes.map(function (note) {
+                return '<p>' + Rhythm.ReadingAge.escapeHtml(note) + '</p>';
+            }).join('') +
+            '<p>' + (e.action === 'save' ? 'Save' : 'Publish') + ' anyway?</p>';
+        var confirmWindow = editor.windowManager.open({
+            title: 'Reading age over the limit',
+            width: 500,
+            height: 300,
+            body: [{ type: 'container', html: html }],
+            buttons: [
+                {
+                    text: e.action === 'save' ? 'Save anyway' : 'Publish anyway',
+                    onclick: function () {
+                        decide(true);
+                        confirmWindow.close();
+                    }
+                },
+                {
+                    text: 'Cancel',
+                    onclick: function () {
+                        confirmWindow.close();
+                    }
+                }
+            ],
+            onClose: function () {
+                decide(false);
+            }
+        });
+    }
+
+    // check the latest analysis before the content is saved ('save') or published ('publish' or 'sendToPublish'),
+    // calling callback with true to go ahead or false to stop. it raises the ReadingAgeBeforeSave editor event first,
+    // which back-office extensions can use to block the save (e.preventDefault()), add notes to the confirmation (e.notes.push(text))
+    // or decide whether it's needed (e.exceeded)
+    this.checkSave = function (action, callback) {
+        var data = getReadingAgeData();
+        var gradeLevel = Rhythm.ReadingAge.getCompositeGradeLevel(data, compositeFormulas);
+        // the hardest sentences by the same formulas as the content, leaving out any within the threshold unless they all are
+        var sentences = Rhythm.ReadingAge.getSentencesInOrder(data).map(function (sentence) {
+            return {
+                text: sentence.source,
+                gradeLevel: Rhythm.ReadingAge.getCompositeGradeLevel(sentence, compositeFormulas),
+                sentenceIndex: sentence.sentenceIndex
+            };
+        }).sort(function (a, b) {
+            if (!isFinite(a.gradeLevel) || !isFinite(b.gradeLevel)) {
+                return isFinite(a.gradeLevel) ? -1 : (isFinite(b.gradeLevel) ? 1 : a.sentenceIndex - b.sentenceIndex);
+            }
+            return b.gradeLevel - a.gradeLevel || a.sentenceIndex - b.sentenceIndex;
+        });
+        if (isFinite(saveThreshold) && sentences.length > 0 && sentences[0].gradeLevel > saveThreshold) {
+            sentences = sentences.filter(function (sentence) {
+                return sentence.gradeLevel > saveThreshold;
+            });
+        }
+        var e = editor.fire('ReadingAgeBeforeSave', {
+            action: action,
+            gradeLevel: gradeLevel,
+            threshold: saveThreshold,
+            exceeded: isFinite(saveThreshold) && gradeLevel > saveThreshold,
+            sentences: sentences.slice(0, numSaveSentences),
+            notes: [],
+            data: data
+        });
+        if (e.isDefaultPrevented && e.isDefaultPrevented()) {
+            callback(false);
+        } else if (!e.exceeded) {
+            callback(true);
+        } else {
+            confirmSave(e, callback);
+        }
+    };
+
+    // set up inline highlighting of hard sentences and complex words in the editor body.
+    // the highlights are bogus spans, so the serializer drops them from getContent(),
+    // and they are made outside the undo manager and stripped from any undo level that catches them
+
+    // sentences with a grade level above this are highlighted as hard, e.g. readingage_highlight_grade: 12
+    var highlightGrade = parseFloat(editor.getParam('readingage_highlight_grade', 10));
+    var highlightAttribute = 'data-readingage-highlight';
+    var highlighting = false;
+    var highlightTimer;
+
+    // find the blocks of text in the editor body, with the text nodes that make each one up
+    var getTextBlocks = function () {
+        var ignore = Rhythm.ReadingAge.ignoredSelectors.concat(ignoreSelectors).join(',');
+        var blocks = [];
+        var current = null;
+
+        function flush() {
+            if (current !== null && current.text.trim().length > 0) {
+                blocks.push(current);
+            }
+            current = null;
+        }
+
+        function walk(parent) {
+            var node, name;
+            for (node = parent.firstChild; node !== null; node = node.nextSibling) {
+                if (node.nodeType === 3) {
+                    if (current === null) {
+                        current = { text: '', nodes: [] };
+                    }
+                    current.nodes.push({ node: node, start: current.text.length });
+                    // line breaks in the source are just white space, as in getBlocks; swapped one for one, so the offsets still match
+                    current.text += node.nodeValue.replace(/[\r\n]/g, ' ');
+                } else if (node.nodeType === 1 && node.getAttribute('data-mce-type') !== 'bookmark' && !editor.dom.is(node, ignore)) {
+                    name = node.nodeName.toLowerCase();
+                    if (name === 'br') {
+                        if (current !== null) {
+                            current.text += '\n';
+                        }
+                    } else if (Rhythm.ReadingAge.blockElements.hasOwnProperty(name)) {
+                        flush();
+                        walk(node);
+                        flush();
+                    } else {
+                        walk(node);
+                    }
+                }
+            }
+        }
+
+        walk(editor.getBody());
+        flush();
+        return blocks;
+    }
+
+    // work out which parts of a block of text to highlight, as offsets into its text
+    var getHighlights = function (text) {
+        var highlights = [];
+        var options = getParseOptions(); // with the glossary, so the words and grades match the report's
+        Rhythm.ReadingAge.getSentenceRanges(text).forEach(function (range) {
+            var sentence = text.slice(range.start, range.end);
+            var data = Rhythm.ReadingAge.parseText(sentence, options);
+            var grade = Rhythm.ReadingAge.getCompositeGradeLevel(data, compositeFormulas);
+            var words;
+            if (grade > highlightGrade) {
+                highlights.push({
+                    start: range.start,
+                    end: range.end,
+                    className: 'readingage-hard-sentence',
+                    title: audience.label(grade) // in the site's audience, like the status bar
+                });
+            }
+            if (data.numComplexWords > 0) {
+                words = Rhythm.ReadingAge.getWordRanges(sentence);
+                data.complexWordPositions.forEach(function (position) {
+                    highlights.push({
+                        start: range.start + words[position].start,
+                        end: range.start + words[position].end,
+                        className: 'readingage-complex-word'
+                    });
+                });
+            }
+        });
+        return highlights;
+    }
+
+    // wrap the highlighted parts of each text node in a block in spans, splitting the text nodes where they start and end
+    var applyHighlights = function (block, highlights) {
+        block.nodes.forEach(function (entry) {
+            var node = entry.node;
+            var start = entry.start;
+            var end = start + node.nodeValue.length;
+            var points = [start, end];
+            var i, piece, active, span;
+            highlights.forEach(function (highlight) {
+                if (highlight.start > start && highlight.start < end) {
+                    points.push(highlight.start);
+                }
+                if (highlight.end > start && highlight.end < end) {
+                    points.push(highlight.end);
+                }
+            });
+            points.sort(function (a, b) {
+                return a - b;
+            });
+            // work backwards, so that splitting off each piece leaves the earlier pieces in node
+            for (i = points.length - 2; i >= 0; i -= 1) {
+                if (points[i] === points[i + 1]) {
+                    continue;
+                }
+                piece = points[i] === start ? node : node.splitText(points[i] - start);
+                active = highlights.filter(function (highlight) {
+                    return highlight.start <= points[i] && highlight.end >= points[i + 1];
+                });
+                if (active.length > 0) {
+                    span = editor.dom.create('span', {
+                        'data-mce-bogus': '1',
+                        'class': active.map(function (highlight) {
+                            return highlight.className;
+                        }).join(' '),
+                        'title': active.filter(function (highlight) {
+                            return highlight.title;
+                        }).map(function (highlight) {
+                            return highlight.title;
+                        }).join(' ') || null
+                    });
+                    span.setAttribute(highlightAttribute, '1');
+                    piece.parentNode.insertBefore(span, piece);
+                    span.appendChild(piece);
+                }
+            }
+        });
+    }
+
+    // make DOM changes for the highlights without adding undo levels
+    var withoutUndo = function (callback) {
+        if (editor.undoManager.ignore) {
+            editor.undoManager.ignore(callback);
+        } else {
+            callback();
+        }
+    }
+
+    var removeHighlights = function () {
+        withoutUndo(function () {
+            tinymce.each(editor.dom.select('span[' + highlightAttribute + ']'), function (span) {
+                editor.dom.remove(span, true);
+            });
+            editor.getBody().normalize();
+        });
+    }
+
+    var refreshHighlights = function () {
+        var bookmark;
+        if (!highlighting) {
+            return;
+        }
+        // the bookmark is taken first, as removing the highlights merges the text nodes and would move the caret
+        withoutUndo(function () {
+            bookmark = editor.selection.getBookmark();
+            removeHighlights();
+            getTextBlocks().forEach(function (block) {
+                var highlights = getHighlights(block.text);
+                if (highlights.length > 0) {
+                    applyHighlights(block, highlights);
+                }
+            });
+            editor.selection.moveToBookmark(bookmark);
+        });
+    }
+
+    var scheduleHighlights = function () {
+        window.clearTimeout(highlightTimer);
+        if (highlighting) {
+            highlightTimer = window.setTimeout(refreshHighlights, 1000);
+        }
+    }
+
+    // remove highlights from HTML, for undo levels
+    var stripHighlights = function (html) {
+        var doc;
+        if (html.indexOf(highlightAttribute) === -1) {
+            return html;
+        }
+        doc = document.implementation.createHTMLDocument('');
+        doc.body.innerHTML = html;
+        tinymce.each(doc.body.querySelectorAll('span[' + highlightAttribute + ']'), function (span) {
+            while (span.firstChild) {
+                span.parentNode.insertBefore(span.firstChild, span);
+            }
+            span.parentNode.removeChild(span);
+        });
+        doc.body.normalize();
+        return doc.body.innerHTML;
+    }
+
+    var setHighlighting = function (state) {
+        highlighting = state;
+        window.clearTimeout(highlightTimer);
+        if (highlighting) {
+            refreshHighlights();
+        } else {
+            removeHighlights();
+        }
+        editor.fire('ReadingAgeHighlight', { state: highlighting });
+    }
+
+    editor.addCommand('mceReadingAgeHighlight', function () {
+        setHighlighting(!highlighting);
+    });
+
+    // Add a toggle button for the highlights
+    editor.addButton('rhythmReadingAgeHighlight', {
+        title: 'Highlight hard sentences and complex words',
+        image: '/App_Plugins/ReadingAge/highlighter.png',
+        cmd: 'mceReadingAgeHighlight',
+        onPostRender: function () {
+            var button = this;
+            editor.on('ReadingAgeHighlight', function (e) {
+                button.active(e.state);
+            });
+        }
+    });
+
+    editor.on('init', function () {
+        editor.dom.loadCSS('/App_Plugins/ReadingAge/reading-age-highlight.css');
+    });
+
+    editor.on('BeforeAddUndo', function (e) {
+        if (e.level.content) {
+            e.level.content = stripHighlights(e.level.content);
+        }
+        if (e.level.fragments) {
+            e.level.fragments = e.level.fragments.map(stripHighlights);
+        }
+    });
+
+    editor.on('keyup setcontent undo redo change', scheduleHighlights);
+
+    // select a sentence from the report in the editor body, and scroll to it
+
+    // normalise white space, so sentences can be compared between the editor body and the parsed HTML
+    var normaliseSentence = function (text) {
+        return text.replace(/\s+/g, ' ').trim();
+    }
+
+    // find a sentence in the editor body, as a DOM range.
+    // the sentences are counted through the blocks just as deepParseText counts them, but if that sentence
+    // has different text (e.g. the content has changed since the report was made), the first one that matches is used
+    var findSentence = function (index, text) {
+        var sentences = [];
+        var match;
+        text = normaliseSentence(text || '');
+        getTextBlocks().forEach(function (block) {
+            Rhythm.ReadingAge.getSentenceRanges(block.text).forEach(function (range) {
+                sentences.push({ block: block, start: range.start, end: range.end, text: normaliseSentence(block.text.slice(range.start, range.end)) });
+            });
+        });
+        if (sentences[index] !== undefined && sentences[index].text === text) {
+            match = sentences[index];
+        } else {
+            match = sentences.filter(function (sentence) {
+                return sentence.text === text;
+            })[0];
+        }
+        if (match === undefined) {
+            return null;
+        }
+        var rng = editor.dom.createRng();
+        match.block.nodes.forEach(function (entry) {
+            var length = entry.node.nodeValue.length;
+            if (match.start >= entry.start && match.start < entry.start + length) {
+                rng.setStart(entry.node, match.start - entry.start);
+            }
+            if (match.end > entry.start && match.end <= entry.start + length) {
+                rng.setEnd(entry.node, match.end - entry.start);
+            }
+        });
+        return rng;
+    }
+
+    var selectSentence = function (index, text) {
+        var rng = findSentence(index, text);
+        if (rng === null) {
+            editor.windowManager.alert('That sentence is no longer in the content.');
+            return;
+        }
+        editor.focus();
+        editor.selection.setRng(rng);
+        editor.selection.scrollIntoView(editor.selection.getNode());
+    }
+
+
+    // check just the selection, or the block the caret is in, and show the result in a popover beside it.
+    // the status bar keeps showing the whole page
+
+    var selectionPopover = null;
+
+    var hideSelectionPopover = function () {
+        if (selectionPopover !== null) {
+            selectionPopover.parentNode.removeChild(selectionPopover);
+            selectionPopover = null;
+        }
+    }
+
+    // the HTML to check, and the range or element to show the popover by
+    var getSelectionToCheck = function () {
+        var block;
+        if (!editor.selection.isCollapsed()) {
+            return { html: editor.selection.getContent(), target: editor.selection.getRng() };
+        }
+        block = editor.dom.getParent(editor.selection.getNode(), editor.dom.isBlock, editor.getBody());
+        if (!block) {
+            return null;
+        }
+        // serialised, so the highlights aren't part of it
+        return { html: editor.serializer.serialize(block), target: block };
+    }
+
+    var showSelectionPopover = function (html, target) {
+        var container = editor.getContentAreaContainer();
+        var position = tinymce.DOM.getPos(container);
+        var rect = target.getBoundingClientRect();
+
+        hideSelectionPopover();
+        selectionPopover = document.createElement('div');
+        selectionPopover.className = 'readingage-popover';
+        selectionPopover.setAttribute('role', 'status');
+        // below what was checked, but not below the bottom of the editor
+        selectionPopover.style.cssText = 'position:absolute;z-index:65536;max-width:360px;padding:4px 12px;' +
+            'background:#fff;border:1px solid #ccc;box-shadow:0 2px 6px rgba(0,0,0,0.2);font:13px/1.4 sans-serif;' +
+            'top:' + Math.round(position.y + Math.max(0, Math.min(rect.bottom, container.clientHeight)) + 6) + 'px;' +
+            'left:' + Math.round(position.x + Math.max(0, rect.left)) + 'px;';
+        selectionPopover.innerHTML = html;
+        document.body.appendChild(selectionPopover);
+    }
+
+    editor.addCommand('mceReadingAgeSelection', function () {
+        var selection = getSelectionToCheck();
+        if (selection === null) {
+            editor.windowManager.alert('Select some text, or put the cursor in a paragraph, to check its reading age.');
+            return;
+        }
+        var data = Rhythm.ReadingAge.deepParseText(selection.html, getParseOptions());
+        showSelectionPopover(Rhythm.ReadingAge.toSummaryHTML(data, {
+            audience: editor.getParam('readingage_audience'),
+            formulas: compositeFormulas
+        }), selection.target);
+    });
+
+    // e.g. readingage_selection_shortcut: "ctrl+shift+q" (meta is Ctrl, or Cmd on a Mac)
+    editor.addShortcut(editor.getParam('readingage_selection_shortcut', 'meta+alt+r'), 'Check the reading age of the selection', 'mceReadingAgeSelection');
+
+    // for the context menu, if the contextmenu setting lists it
+    editor.addMenuItem('rhythmReadingAgeSelection', {
+        text: 'Check reading age here',
+        image: '/App_Plugins/ReadingAge/reading-glasses.png',
+        cmd: 'mceReadingAgeSelection',
+        context: 'tools'
+    });
+
+    // the popover goes as soon as the author does anything else. keys with modifiers are let through,
+    // or the shortcut would close the popover it has just opened
+    editor.on('keydown', function (e) {
+        if (!e.ctrlKey && !e.metaKey && !e.altKey) {
+            hideSelectionPopover();
+        }
+    });
+    editor.on('mousedown setcontent undo redo remove', hideSelectionPopover);
+    editor.on('init', function () {
+        tinymce.DOM.bind(editor.getWin(), 'scroll', hideSelectionPopover);
+    });
+    var hideSelectionPopoverOutside = function (e) {
+        if (selectionPopover !== null && !selectionPopover.contains(e.target)) {
+            hideSelectionPopover();
+        }
+    }
+    tinymce.DOM.bind(document, 'mousedown', hideSelectionPopoverOutside);
+    editor.on('remove', function () {
+        tinymce.DOM.unbind(document, 'mousedown', hideSelectionPopoverOutside);
+    });
+
 });
\ No newline at end of file
@@ -10,7 +10,7 @@ module.exports = function(grunt) {
 			},
 			dist: {
 				files: {
-					'files/umbraco/lib/tinymce/plugins/rhythmReadingAge/plugin.min.js': [ 'files/umbraco/lib/tinymce/plugins/rhythmReadingAge/plugin.js' ]
+					'files/umbraco/lib/tinymce/plugins/rhythmReadingAge/plugin.min.js': [ 'files/App_Plugins/ReadingAge/reading-age.js', 'files/umbraco/lib/tinymce/plugins/rhythmReadingAge/plugin.js' ]
 				}
 			}
 		},
@@ -0,0 +1,444 @@
+#!/usr/bin/env node
+/*
+    A site-wide readability audit, run offline over Umbraco content: the XML cache (App_Data/umbraco.config)
+    or a content export in the same format, such as the package.xml of a package with content in it.
+    Every rich text property of every page (and any Markdown or plain text ones named with --markdown and --text)
+    is analysed with ReadingAge.deepParseText, and the fields are ranked hardest first in an HTML report and a CSV file.
+
+    node tools/reading-age-audit.js path/to/umbraco.config [--html report.html] [--csv report.csv] [--target 9]
+
+    Run with --help for the other options.
+ */
+
+/*global require, module, process, console */
+
+"use strict";
+
+var fs = require("fs");
+var ReadingAge = require("../files/App_Plugins/ReadingAge/reading-age.js");
+
+var usage = [
+    "Usage: node reading-age-audit.js <umbraco.config or export.xml> [options]",
+    "",
+    "  --html <file>          Where to write the HTML report. Defaults to reading-age-audit.html.",
+    "  --csv <file>           Where to write the CSV report. Defaults to reading-age-audit.csv.",
+    "  --language <code>      The language to analyse the content as, e.g. en or de. Defaults to en.",
+    "  --properties <aliases> The property aliases to analyse, e.g. bodyText,intro. Defaults to every property with HTML in it.",
+    "  --markdown <aliases>   Property aliases holding Markdown rather than HTML, e.g. from the Markdown editor.",
+    "  --text <aliases>       Property aliases holding plain text, e.g. from text areas.",
+    "  --ignore <selectors>   CSS selectors for further content to leave out, e.g. .disclaimer.",
+    "  --glossary <file>      A glossary JSON file, as for the readingage_glossary setting.",
+    "  --formulas <names>     The grade level formulas to average into the reading age, as for readingage_formulas.",
+    "  --target <number>      The highest acceptable reading age. Fields over it are marked in the reports.",
+    "  --margin <number>      How far over the target a field can go before it fails rather than warns. Defaults to 2."
+].join("\n");
+
+// the elements of rich text that show a property holds HTML rather than plain text
+var richTextPattern = /<(p|h[1-6]|ul|ol|li|div|table|blockquote)[\s>\/]/i;
+
+/**
+ * Parse XML into a tree of elements, each with a name, attributes and children.
+ * Text and CDATA sections are strings among the children, with any character references decoded.
+ * Comments, processing instructions and the DOCTYPE (with its internal subset) are skipped.
+ *
+ * @returns {object} The document, as an element named "#document".
+ * @param {string} xml The XML to parse.
+ */
+function parseXml(xml) {
+    var document = { name: "#document", attributes: {}, children: [] },
+        stack = [document],
+        tokens = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE(?:[^\[>]|\[[\s\S]*?\])*>|<\/([^\s>]+)\s*>|<([^\s\/>!?]+)((?:\s+[^\s=\/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g,
+        attributes = /([^\s=\/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g,
+        lastIndex = 0,
+        match,
+        attribute,
+        element;
+    while ((match = tokens.exec(xml)) !== null) {
+        if (match.index !== lastIndex) {
+            break;
+        }
+        lastIndex = tokens.lastIndex;
+        if (match[1] !== undefined) {
+            stack[stack.length - 1].children.push(match[1]);
+        } else if (match[2] !== undefined) {
+            if (stack.length === 1 || stack[stack.length - 1].name !== match[2]) {
+                throw new Error("Unexpected </" + match[2] + "> at character " + match.index + ".");
+            }
+            stack.pop();
+        } else if (match[3] !== undefined) {
+            element = { name: match[3], attributes: {}, children: [] };
+            attributes.lastIndex = 0;
+            while ((attribute = attributes.exec(match[4])) !== null) {
+                element.attributes[attribute[1]] = ReadingAge.decodeHtmlEntities(attribute[2] !== undefined ? attribute[2] : attribute[3]);
+            }
+            stack[stack.length - 1].children.push(element);
+            if (match[5] === "") {
+                stack.push(element);
+            }
+        } else if (match[6] !== undefined) {
+            stack[stack.length - 1].children.push(ReadingAge.decodeHtmlEntities(match[6]));
+        }
+    }
+    if (lastIndex !== xml.length) {
+        throw new Error("Unexpected \"" + xml.substr(lastIndex, 20) + "\" at character " + lastIndex + ".");
+    }
+    if (stack.length > 1) {
+        throw new Error("<" + stack[stack.length - 1].name + "> isn't closed.");
+    }
+    return document;
+}
+
+/**
+ * Get the text of an element, putting together its text and CDATA sections.
+ *
+ * @returns {string}
+ * @param {object} element An element from parseXml.
+ */
+function getText(element) {
+    return element.children.map(function (child) {
+        return typeof child === "string" ? child : getText(child);
+    }).join("");
+}
+
+/**
+ * Find the pages in a parsed umbraco.config or content export, where each page is an element with an isDoc attribute
+ * and its properties are its other child elements.
+ *
+ * @returns {array} Objects with the id, name, documentType, path (the names of the page and its ancestors) and properties
+ * (an object of property values, keyed by alias) of each page, in document order.
+ * @param {object} element The document from parseXml.
+ * @param {array} [ancestors] The names of the pages element is in.
+ */
+function findPages(element, ancestors) {
+    var pages = [],
+        page;
+    ancestors = ancestors || [];
+    element.children.forEach(function (child) {
+        if (typeof child === "string") {
+            return;
+        }
+        if (child.attributes.isDoc !== undefined) {
+            page = {
+                id: child.attributes.id,
+                name: child.attributes.nodeName,
+                documentType: child.attributes.nodeTypeAlias || child.name,
+                path: ancestors.concat(child.attributes.nodeName),
+                properties: {}
+            };
+            child.children.forEach(function (property) {
+                if (typeof property !== "string" && property.attributes.isDoc === undefined) {
+                    page.properties[property.name] = getText(property);
+                }
+            });
+            pages.push(page);
+            pages = pages.concat(findPages(child, page.path));
+        } else {
+            pages = pages.concat(findPages(child, ancestors));
+        }
+    });
+    return pages;
+}
+
+/**
+ * Analyse the rich text properties of pages, ranking them hardest first.
+ *
+ * @returns {array} Objects with the page, the property alias, the deepParseText result (data),
+ * its composite gradeLevel and, if there is a target, the status of checkReadingAge.
+ * Properties with no words in them are left out.
+ * @param {array} pages The pages from findPages.
+ * @param {object} [options] Audit options.
+ * @param {array} [options.properties] The property aliases to analyse. Defaults to every property with HTML in it,
+ * and those in options.formats.
+ * @param {object} [options.formats] The input format of properties that don't hold HTML, keyed by alias, e.g. { intro: "markdown" }.
+ * @param {array} [options.formulas] The grade level formulas to average, as for getCompositeGradeLevel.
+ * @param {number} [options.target] The highest acceptable composite grade level, as for checkReadingAge.
+ * @param {number} [options.margin] How far over the target a field can go before it fails, as for checkReadingAge.
+ * @param {object} [options.parseOptions] Options for deepParseText, e.g. language, ignoreSelectors and glossary.
+ */
+function audit(pages, options) {
+    var fields = [];
+    options = options || {};
+    pages.forEach(function (page) {
+        Object.keys(page.properties).forEach(function (alias) {
+            var value = page.properties[alias],
+                format = options.formats && options.formats.hasOwnProperty(alias) ? options.formats[alias] : undefined,
+                parseOptions = options.parseOptions,
+                field;
+            if (options.properties ? options.properties.indexOf(alias) === -1 : format === undefined && !richTextPattern.test(value)) {
+                return;
+            }
+            if (format !== undefined) {
+                parseOptions = ReadingAge.copyObject(parseOptions || {});
+                parseOptions.format = format;
+            }
+            field = { page: page, property: alias, data: ReadingAge.deepParseText(value, parseOptions) };
+            if (field.data.numWords === 0) {
+                return;
+            }
+            field.gradeLevel = ReadingAge.getCompositeGradeLevel(field.data, options.formulas);
+            if (isFinite(options.target)) {
+                field.status = ReadingAge.checkReadingAge(field.data, {
+                    target: options.target,
+                    margin: options.margin,
+                    formulas: options.formulas
+                }).status;
+            }
+            fields.push(field);
+        });
+    });
+    return fields.sort(function (a, b) {
+        if (!isFinite(a.gradeLevel) || !isFinite(b.gradeLevel)) {
+            return isFinite(a.gradeLevel) ? -1 : (isFinite(b.gradeLevel) ? 1 : 0); // fields none of the formulas could score go last
+        }
+        return b.gradeLevel - a.gradeLevel;
+    });
+}
+
+/**
+ * Get the hardest sentence of an audited field.
+ *
+ * @returns {object|undefined} The parsed sentence, or undefined if the field has none.
+ * @param {object} field A field from audit.
+ */
+function getHardestSentence(field) {
+    return ReadingAge.sortSentences(field.data, "grade")[0];
+}
+
+/**
+ * Write audited fields as a standalone HTML report, with a summary and a ranked table.
+ *
+ * @returns {string}
+ * @param {array} fields The fields from audit.
+ * @param {object} [summary] The source file (source) and number of pages (numPages) to describe in the summary.
+ */
+function toHTML(fields, summary) {
+    var result = [],
+        hasStatus = fields.length > 0 && fields[0].status !== undefined,
+        numWords = fields.reduce(function (total, field) {
+            return total + field.data.numWords;
+        }, 0),
+        scored = fields.filter(function (field) {
+            return isFinite(field.gradeLevel);
+        }),
+        average = scored.reduce(function (total, field) {
+            return total + field.gradeLevel * field.data.numWords;
+        }, 0) / scored.reduce(function (total, field) {
+            return total + field.data.numWords;
+        }, 0);
+    summary = summary || {};
+    result.push('<!DOCTYPE html>');
+    result.push('<html><head><meta charset="utf-8"><title>Reading Age Audit</title>');
+    result.push('<style>body{font-family:sans-serif}table{border-collapse:collapse}th,td{border:1px solid #ccc;padding:4px 8px;text-align:left;vertical-align:top}' +
+        '.pass{color:#2e7d32}.warn{color:#b26a00}.fail{color:#c62828}</style>');
+    result.push('</head><body>');
+    result.push('<h1>Reading Age Audit</h1>');
+    result.push('<section>');
+    result.push('<h2>Summary</h2>');
+    result.push('<ul>');
+    if (summary.source !== undefined) {
+        result.push('<li>Source: ' + ReadingAge.escapeHtml(summary.source) + '</li>');
+    }
+    if (summary.numPages !== undefined) {
+        result.push('<li>Number of Pages: ' + summary.numPages + '</li>');
+    }
+    result.push('<li>Number of Rich Text Fields: ' + fields.length + '</li>');
+    result.push('<li>Number of Words: ' + numWords + '</li>');
+    if (scored.length > 0) {
+        result.push('<li>Average Reading Age (by words): ' + average.toFixed(1) + '</li>');
+    }
+    if (hasStatus) {
+        ["fail", "warn"].forEach(function (status) {
+            result.push('<li>' + (status === "fail" ? 'Fields Failing the Target' : 'Fields Over the Target, Within the Margin') + ': ' + fields.filter(function (field) {
+                return field.status === status;
+            }).length + '</li>');
+        });
+    }
+    result.push('</ul>');
+    result.push('</section>');
+    result.push('<section>');
+    result.push('<h2>Fields, Hardest First</h2>');
+    result.push('<table>');
+    result.push('<thead><tr><th>Rank</th><th>Page</th><th>Field</th><th>Words</th><th>Sentences</th><th>Reading Age</th>' +
+        (hasStatus ? '<th>Status</th>' : '') + '<th>Hardest Sentence</th></tr></thead>');
+    result.push('<tbody>');
+    fields.forEach(function (field, i) {
+        var sentence = getHardestSentence(field);
+        result.push('<tr' + (hasStatus ? ' class="' + field.status + '"' : '') + '>' +
+            '<td>' + (i + 1) + '</td>' +
+            '<td>' + ReadingAge.escapeHtml(field.page.path.join(' \u203a ')) + ' (' + ReadingAge.escapeHtml(field.page.id) + ')</td>' +
+            '<td>' + ReadingAge.escapeHtml(field.property) + '</td>' +
+            '<td>' + field.data.numWords + '</td>' +
+            '<td>' + field.data.numSentences + '</td>' +
+            '<td>' + (isFinite(field.gradeLevel) ? field.gradeLevel.toFixed(1) : ReadingAge.notEnoughTextLabel) + '</td>' +
+            (hasStatus ? '<td>' + field.status + '</td>' : '') +
+            '<td>' + (sentence ? ReadingAge.sentenceSorts.grade.format(sentence) + ': ' + ReadingAge.escapeHtml(ReadingAge.truncate(sentence.source, 200)) : '') + '</td>' +
+            '</tr>');
+    });
+    result.push('</tbody>');
+    result.push('</table>');
+    result.push('</section>');
+    result.push('</body></html>');
+    return result.join('\n') + '\n';
+}
+
+/**
+ * Write audited fields as CSV, one row per field, hardest first,
+ * with its counts, composite reading age, any status and the value of each of the language's formulas.
+ *
+ * @returns {string}
+ * @param {array} fields The fields from audit.
+ */
+function toCSV(fields) {
+    var hasStatus = fields.length > 0 && fields[0].status !== undefined,
+        formulas = fields.length > 0 ? ReadingAge.languages[ReadingAge.getLanguageCode(fields[0].data.language)].formulas : [],
+        header = ["Rank", "Page ID", "Page", "Path", "Document type", "Field", "Words", "Sentences", "Complex words", "Reading age"],
+        rows = [];
+    if (hasStatus) {
+        header.push("Status");
+    }
+    rows.push(header.concat(formulas, ["Hardest sentence"]));
+    fields.forEach(function (field, i) {
+        var sentence = getHardestSentence(field),
+            row = [i + 1, field.page.id, field.page.name, field.page.path.join(" / "), field.page.documentType, field.property,
+                field.data.numWords, field.data.numSentences, field.data.numComplexWords, field.gradeLevel];
+        if (hasStatus) {
+            row.push(field.status);
+        }
+        formulas.forEach(function (name) {
+            row.push(field.data[name]);
+        });
+        row.push(sentence ? sentence.source : "");
+        rows.push(row);
+    });
+    return rows.map(function (row) {
+        return row.map(ReadingAge.toCSVField).join(",");
+    }).join("\r\n") + "\r\n";
+}
+
+/**
+ * Read the command-line arguments.
+ *
+ * @returns {object} The source file (source), the files to write (html and csv) and the options for audit.
+ * @param {array} args The arguments, without node and the script.
+ */
+function parseArguments(args) {
+    var result = { html: "reading-age-audit.html", csv: "reading-age-audit.csv", options: { parseOptions: {} } },
+        list = function (value) {
+            return value.split(/[\s,]+/).filter(function (item) {
+                return item.length > 0;
+            });
+        },
+        number = function (value) {
+            var parsed = Number(value);
+            if (value.trim() === "" || !isFinite(parsed)) {
+                throw new Error(name + " needs a number, not \"" + value + "\".");
+            }
+            return parsed;
+        },
+        name,
+        value,
+        i;
+    for (i = 0; i < args.length; i += 1) {
+        name = args[i];
+        if (name.charAt(0) !== "-") {
+            result.source = name;
+            continue;
+        }
+        if (name === "--help" || name === "-h") {
+            result.help = true;
+            continue;
+        }
+        value = args[i + 1];
+        i += 1;
+        if (value === undefined) {
+            throw new Error(name + " needs a value.");
+        }
+        switch (name) {
+        case "--html":
+            result.html = value;
+            break;
+        case "--csv":
+            result.csv = value;
+            break;
+        case "--language":
+            result.options.parseOptions.language = value;
+            break;
+        case "--properties":
+            result.options.properties = list(value);
+            break;
+        case "--markdown":
+        case "--text":
+            result.options.formats = result.options.formats || {};
+            list(value).forEach(function (alias) {
+                result.options.formats[alias] = name.slice(2);
+            });
+            break;
+        case "--ignore":
+            result.options.parseOptions.ignoreSelectors = value.split(",");
+            break;
+        case "--glossary":
+            result.options.parseOptions.glossary = ReadingAge.normaliseGlossary(JSON.parse(fs.readFileSync(value, "utf8")));
+            break;
+        case "--formulas":
+            result.options.formulas = list(value);
+            result.options.formulas.forEach(function (formula) {
+                if (!ReadingAge.gradeLevelFormulas.hasOwnProperty(formula)) {
+                    throw new Error("Unknown grade level formula " + formula + ". Use any of " + Object.keys(ReadingAge.gradeLevelFormulas).join(", ") + ".");
+                }
+            });
+            break;
+        case "--target":
+            result.options.target = number(value);
+            break;
+        case "--margin":
+            result.options.margin = number(value);
+            break;
+        default:
+            throw new Error("Unknown option " + name + ".");
+        }
+    }
+    return result;
+}
+
+function main(args) {
+    var settings,
+        pages,
+        fields;
+    try {
+        settings = parseArguments(args);
+    } catch (e) {
+        console.error(e.message + "\n\n" + usage);
+        return 1;
+    }
+    if (settings.help || settings.source === undefined) {
+        console.log(usage);
+        return settings.help ? 0 : 1;
+    }
+    try {
+        pages = findPages(parseXml(fs.readFileSync(settings.source, "utf8").replace(/^\ufeff/, "")));
+    } catch (e) {
+        console.error("Couldn't read " + settings.source + ": " + e.message);
+        return 1;
+    }
+    fields = audit(pages, settings.options);
+    fs.writeFileSync(settings.html, toHTML(fields, { source: settings.source, numPages: pages.length }));
+    fs.writeFileSync(settings.csv, "\ufeff" + toCSV(fields)); // the byte order mark tells Excel it's UTF-8
+    console.log("Analysed " + fields.length + " rich text field" + (fields.length === 1 ? "" : "s") + " on " + pages.length + " page" + (pages.length === 1 ? "" : "s") +
+        (isFinite(settings.options.target) ? ", " + fields.filter(function (field) {
+            return field.status === "fail";
+        }).length + " failing the target" : "") + ".");
+    console.log("Wrote " + settings.html + " and " + settings.csv + ".");
+    return 0;
+}
+
+module.exports = {
+    parseXml: parseXml,
+    findPages: findPages,
+    audit: audit,
+    toHTML: toHTML,
+    toCSV: toCSV
+};
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}